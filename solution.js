@@ -2,15 +2,42 @@
  * Star Counter Application - Console Ready Version
  * 
  * This script enhances star rating lines with:
+ * - A rating model that holds each line's value, rendered back into the page
  * - Star counting and display with color coding
  * - Total stars calculation
  * - Interactive controls (add/remove stars, toggle bold)
+ * - Undo/redo of star changes (buttons and Ctrl+Z / Ctrl+Shift+Z)
+ * - Ratings saved in localStorage and restored when pasted again
+ * - Export to JSON/CSV and import back from either format
+ * - Keyboard control and screen-reader support (lines are ARIA sliders)
+ * - Page watcher that enhances lines added later and resyncs outside star changes
+ * - Configurable rating rules (limits, step, color conditions) with presets
+ * - Quarter and tenth star precision, drawn as a partially filled star icon
+ * - Setting a rating by hovering and clicking directly on the stars
+ * - Collapsible statistics panel (average, median, colors, histogram) in the total display
+ * - Toolbar to sort, filter and group lines by rating and color
+ * - Selection mode (Shift/Ctrl-click, select all) with bulk rating changes
+ * - Public API on window.StarCounter with change, limit-reached and init events
+ * - Clean teardown (StarCounter.destroy()) and safe repeat pastes
+ * - Site adapters for Font Awesome 4/5/6, inline SVG and plain text stars, auto-detected
+ * - One injected stylesheet with light, dark and high-contrast themes and color-blind cues
+ * - Live sync of ratings between tabs showing the same page (last write wins)
+ * - Detection and one-click repair of malformed lines (extra halves, misordered icons, out of limits)
+ * - Timestamped audit log of rating changes (filterable by line, saved, exportable as JSON)
+ * - Optional constraints mode: a page-wide star budget and per-color line quotas
+ * - Named snapshots of all ratings, a compare view and revert to a snapshot
+ * - English and Hebrew labels with plural rules, locale number formatting and right-to-left layout
  * - Smart half-star merging logic
  * 
  * Usage: Paste this entire code into Chrome DevTools Console
  * The HTML file must already be loaded in the browser.
+ * Pasting it again replaces the running copy (see initializeStarCounter).
  */
 
+// Everything lives in this function scope, so pasting the script again
+// doesn't redeclare its constants or share state with the previous copy
+(function() {
+
 // ============================================
 // CONSTANTS - Configuration Values
 // ============================================
@@ -19,6 +46,9 @@ const STAR_LIMITS = {
     MAX: 5
 };
 
+// Star values are kept to 2 decimals (enough for quarter and tenth steps)
+const STAR_VALUE_DECIMALS = 2;
+
 const COLOR_THRESHOLDS = {
     RED: 2,      // Lines with 2 or fewer stars (no half-star) = red
     YELLOW: 3    // Lines with 3 or more stars (no half-star) = yellow
@@ -30,35 +60,669 @@ const COLORS = {
     GREEN: 'green'  // Any line with a half-star = green (regardless of count)
 };
 
+// Rating rule presets: limits, step size and ordered color conditions (first match wins),
+// with the message key of the name shown in the "Rules" selector
+// Condition types: 'hasHalfStar', 'range' (min and/or max, inclusive), 'exact' (value), 'otherwise'
+const RULE_PRESETS = {
+    default: {
+        name: 'Default (1-5, half stars)',
+        message: 'presetDefault',
+        min: STAR_LIMITS.MIN,
+        max: STAR_LIMITS.MAX,
+        step: 0.5,
+        conditions: [
+            { type: 'hasHalfStar', color: COLORS.GREEN, label: 'HALF' },
+            { type: 'range', max: COLOR_THRESHOLDS.RED, color: COLORS.RED, label: 'LOW' },
+            { type: 'range', min: COLOR_THRESHOLDS.YELLOW, color: COLORS.YELLOW, label: 'MID' }
+        ]
+    },
+    wholeStars: {
+        name: 'Whole stars (1-5)',
+        message: 'presetWholeStars',
+        min: 1,
+        max: 5,
+        step: 1,
+        conditions: [
+            { type: 'range', max: 2, color: COLORS.RED, label: 'LOW' },
+            { type: 'exact', value: 3, color: COLORS.YELLOW, label: 'MID' },
+            { type: 'range', min: 4, color: COLORS.GREEN, label: 'HIGH' }
+        ]
+    },
+    quarterStars: {
+        name: 'Quarter stars (1-5)',
+        message: 'presetQuarterStars',
+        min: 1,
+        max: 5,
+        step: 0.25,
+        buttonSteps: [1, 0.25],
+        conditions: [
+            { type: 'range', max: 2, color: COLORS.RED, label: 'LOW' },
+            { type: 'range', max: 3.75, color: COLORS.YELLOW, label: 'MID' },
+            { type: 'otherwise', color: COLORS.GREEN, label: 'HIGH' }
+        ]
+    },
+    tenthStars: {
+        name: 'Tenth stars (1-5)',
+        message: 'presetTenthStars',
+        min: 1,
+        max: 5,
+        step: 0.1,
+        buttonSteps: [1, 0.5, 0.1],
+        conditions: [
+            { type: 'range', max: 2, color: COLORS.RED, label: 'LOW' },
+            { type: 'range', max: 3.9, color: COLORS.YELLOW, label: 'MID' },
+            { type: 'otherwise', color: COLORS.GREEN, label: 'HIGH' }
+        ]
+    },
+    tenPoint: {
+        name: 'Ten point (1-10)',
+        message: 'presetTenPoint',
+        min: 1,
+        max: 10,
+        step: 1,
+        conditions: [
+            { type: 'range', max: 4, color: COLORS.RED, label: 'LOW' },
+            { type: 'range', min: 5, max: 7, color: COLORS.YELLOW, label: 'MID' },
+            { type: 'otherwise', color: COLORS.GREEN, label: 'HIGH' }
+        ]
+    }
+};
+
 const CSS_CLASSES = {
     WRAPPER: 'wrapper',
     STAR_COUNT: 'star-count',
     STAR_CONTROLS: 'star-controls',
+    PAGE_CONTROLS: 'page-controls',
+    UNDO_BUTTON: 'undo-button',
+    REDO_BUTTON: 'redo-button',
+    RESET_BUTTON: 'reset-button',
+    EXPORT_BUTTON: 'export-button',
+    IMPORT_BUTTON: 'import-button',
+    SETTINGS_PANEL: 'star-settings',
     FULL_STAR: 'fa-star',
-    HALF_STAR: 'fa-star-half-o'
+    HALF_STAR: 'fa-star-half-o',
+    PARTIAL_STAR: 'star-partial',
+    GHOST_STAR: 'star-ghost',
+    TOTAL_VALUE: 'total-value',
+    STATS_TOGGLE: 'stats-toggle',
+    STATS_PANEL: 'stats-panel',
+    TOOLBAR: 'star-toolbar',
+    GROUP_HEADER: 'star-group-header',
+    BULK_BAR: 'bulk-action-bar',
+    BULK_STATUS: 'bulk-status',
+    SELECTION_TOGGLE: 'selection-toggle',
+    BUTTON: 'star-button',
+    STAR_CUE: 'star-cue',
+    THEME_SETTINGS: 'star-theme-settings',
+    REMOTE_BADGE: 'star-remote-badge',
+    FIX_BUTTON: 'star-fix-button',
+    FIX_ALL_BUTTON: 'fix-all-button',
+    AUDIT_LOG_BUTTON: 'audit-log-button',
+    AUDIT_LOG_PANEL: 'star-audit-log',
+    CONSTRAINT_STATUS: 'constraint-status',
+    CONSTRAINT_MESSAGE: 'constraint-message',
+    SNAPSHOT_BUTTON: 'snapshot-button',
+    SNAPSHOT_PANEL: 'star-snapshots',
+    DIFF_UP: 'diff-up',
+    DIFF_DOWN: 'diff-down',
+    DIFF_COLOR: 'diff-color'
+};
+
+// Pages with at least this many lines get a line's buttons on first hover or focus, not at init
+const LAZY_CONTROLS_MIN_LINES = 500;
+
+// Statistics panel: histogram bin width, and the line counts between which it starts expanded
+// (every refresh recomputes the statistics over all lines, so large pages start collapsed)
+const STATS_BIN_SIZE = 0.5;
+const STATS_EXPANDED_MIN_LINES = 10;
+const STATS_COLLAPSED_MIN_LINES = 500;
+
+// Partial stars: the site adapter's full star glyph filled up to the fraction with a clipped gradient
+const PARTIAL_STAR = {
+    DEFAULT_COLOR: '#FFD700',
+    EMPTY_COLOR: 'rgba(128, 128, 128, 0.4)'
+};
+
+// Ghost stars: placeholder slots up to the maximum, shown while hovering a line's stars
+// (drawn with the site adapter's glyphs)
+const GHOST_STAR = {
+    PREVIEW_OPACITY: '0.5',
+    DIMMED_OPACITY: '0.3'
+};
+
+// Inline SVG stars: a star polygon on a 24x24 grid, and its left half
+const SVG_STAR_POINTS = '12,2 15.09,8.26 22,9.27 17,14.14 18.18,21.02 12,17.77 5.82,21.02 7,14.14 2,9.27 8.91,8.26';
+const SVG_HALF_STAR_POINTS = '12,2 8.91,8.26 2,9.27 7,14.14 5.82,21.02 12,17.77';
+
+// Plain text stars: the characters, and the class of the spans each one is wrapped in
+const TEXT_STARS = {
+    FULL: '\u2605',   // ★
+    HALF: '\u00bd',   // ½
+    EMPTY: '\u2606',  // ☆
+    CLASS_NAME: 'star-text'
+};
+
+// Node type of text nodes (Node.TEXT_NODE), so the line helpers also work on
+// documents that are not the global one (see star-report.js)
+const TEXT_NODE_TYPE = 3;
+
+// Methods every site adapter must have (see SITE ADAPTERS)
+const SITE_ADAPTER_METHODS = ['findContainer', 'findLines', 'countStars', 'findStars', 'createStar'];
+
+// Maximum number of changes kept for undo (oldest are dropped first)
+const HISTORY_LIMIT = 100;
+
+// localStorage key prefix; the page fingerprint is appended to it
+const STORAGE_KEY_PREFIX = 'starCounter:';
+
+// Export/import: file names and the per-line fields, in CSV column order
+const EXPORT_FILE_NAME = 'star-ratings';
+const EXPORT_FIELDS = ['index', 'label', 'fullStars', 'halfStars', 'total', 'color'];
+
+// Where a change came from (changes made by the counter itself, like undo or reset,
+// use their change kind instead)
+const CHANGE_SOURCES = {
+    BUTTON: 'button',
+    KEYBOARD: 'keyboard',
+    POINTER: 'pointer',
+    BULK: 'bulk',
+    IMPORT: 'import',
+    SNAPSHOT: 'snapshot',
+    API: 'api'
+};
+
+// Audit log: the MESSAGES key naming each change source (other sources, e.g. 'undo', are shown as they are)
+const CHANGE_SOURCE_MESSAGES = {
+    button: 'sourceButton',
+    keyboard: 'sourceKeyboard',
+    pointer: 'sourcePointer',
+    bulk: 'sourceBulk',
+    import: 'sourceImport',
+    snapshot: 'sourceSnapshot',
+    api: 'sourceApi'
+};
+
+// Constraints mode: the kinds of constraint a change can break (see findConstraintViolation)
+const CONSTRAINT_TYPES = {
+    BUDGET: 'budget',
+    COLOR_MAX: 'color-max',
+    COLOR_MIN: 'color-min'
 };
 
+// Audit log: the most entries kept (oldest are dropped first), the most characters
+// saved in localStorage (older entries are left out of the save), and the export file name
+const AUDIT_LOG_LIMIT = 500;
+const AUDIT_LOG_SAVED_CHARS_LIMIT = 100000;
+const AUDIT_LOG_FILE_NAME = 'star-audit-log';
+
+// Snapshots: the most kept per page (oldest are dropped first), and the compare choice for the live page
+const SNAPSHOT_LIMIT = 20;
+const LIVE_PAGE = '';
+
+// Events emitted through StarCounter.on() and as DOM CustomEvents (prefixed) on #main
+const EVENT_NAMES = ['change', 'limit-reached', 'init'];
+const DOM_EVENT_PREFIX = 'starcounter:';
+
+// Line attributes the counter sets; destroy() puts back their values from before enhancement
+const RESTORED_LINE_ATTRIBUTES = [
+    'style',
+    'role',
+    'tabindex',
+    'aria-label',
+    'aria-valuemin',
+    'aria-valuemax',
+    'aria-valuenow',
+    'aria-valuetext'
+];
+
 const ELEMENT_IDS = {
     MAIN_CONTAINER: 'main',
-    TOTAL_DISPLAY: 'total-stars-display'
+    TOTAL_DISPLAY: 'total-stars-display',
+    LIVE_REGION: 'star-counter-live-region',
+    STYLESHEET: 'star-counter-styles'
+};
+
+// The counter's own panels inside #main; the page watcher ignores changes in them
+const OWN_INTERFACE_SELECTOR = [
+    `#${ELEMENT_IDS.TOTAL_DISPLAY}`,
+    `.${CSS_CLASSES.PAGE_CONTROLS}`,
+    `.${CSS_CLASSES.AUDIT_LOG_PANEL}`,
+    `.${CSS_CLASSES.SNAPSHOT_PANEL}`,
+    `.${CSS_CLASSES.GROUP_HEADER}`
+].join(', ');
+
+// The counter's own parts of each line, redrawn on every change; the page watcher ignores them too
+const OWN_LINE_PART_SELECTOR = [
+    `.${CSS_CLASSES.STAR_COUNT}`,
+    `.${CSS_CLASSES.STAR_CONTROLS}`,
+    `.${CSS_CLASSES.STAR_CUE}`,
+    `.${CSS_CLASSES.GHOST_STAR}`,
+    `.${CSS_CLASSES.REMOTE_BADGE}`,
+    `.${CSS_CLASSES.FIX_BUTTON}`
+].join(', ');
+
+// Keyboard step for PageUp/PageDown (arrow keys use the rules' step size)
+const KEYBOARD_LARGE_STEP = 1;
+
+// Themes: values for the CSS custom properties used by the stylesheet
+// Rating colors named in the rules (red, yellow, ...) are looked up as --star-counter-color-<name>
+const THEMES = {
+    dark: {
+        message: 'themeDark',
+        variables: {
+            '--star-counter-bg': '#444',
+            '--star-counter-text': '#FFF',
+            '--star-counter-border': 'white',
+            '--star-counter-button-bg': '#555',
+            '--star-counter-button-border': '#ccc',
+            '--star-counter-accent': '#4A90E2',
+            '--star-counter-selected-bg': 'rgba(74, 144, 226, 0.2)',
+            '--star-counter-color-red': 'red',
+            '--star-counter-color-yellow': 'yellow',
+            '--star-counter-color-green': 'green'
+        }
+    },
+    light: {
+        message: 'themeLight',
+        variables: {
+            '--star-counter-bg': '#F4F4F4',
+            '--star-counter-text': '#222',
+            '--star-counter-border': '#888',
+            '--star-counter-button-bg': '#FFF',
+            '--star-counter-button-border': '#888',
+            '--star-counter-accent': '#1A73E8',
+            '--star-counter-selected-bg': 'rgba(26, 115, 232, 0.15)',
+            '--star-counter-color-red': '#C62828',
+            '--star-counter-color-yellow': '#9A6700',  // Dark amber: plain yellow barely shows on white
+            '--star-counter-color-green': '#2E7D32'
+        }
+    },
+    highContrast: {
+        message: 'themeHighContrast',
+        variables: {
+            '--star-counter-bg': '#000',
+            '--star-counter-text': '#FFF',
+            '--star-counter-border': '#FFFF00',
+            '--star-counter-button-bg': '#000',
+            '--star-counter-button-border': '#FFF',
+            '--star-counter-accent': '#00FFFF',
+            '--star-counter-selected-bg': 'rgba(0, 255, 255, 0.25)',
+            '--star-counter-color-red': '#FF6B6B',
+            '--star-counter-color-yellow': '#FFFF00',
+            '--star-counter-color-green': '#3CFF3C'
+        }
+    }
+};
+const DEFAULT_THEME = 'dark';
+
+// Color-blind cues: a shape per rule condition (by position), shown with the condition's label
+const COLOR_BLIND_SHAPES = ['\u25B2', '\u25CF', '\u25A0', '\u25C6', '\u25BC'];  // ▲ ● ■ ◆ ▼
+
+// Tab sync: BroadcastChannel name, and the localStorage key used instead where it is missing
+const TAB_SYNC_CHANNEL = `${STORAGE_KEY_PREFIX}sync`;
+const TAB_SYNC_STORAGE_KEY = `${STORAGE_KEY_PREFIX}sync-message`;
+
+// Problems found by the validation pass (see findLineProblems)
+const LINE_PROBLEMS = {
+    MULTIPLE_HALVES: 'multiple-halves',
+    HALF_BEFORE_FULL: 'half-before-full',
+    OUT_OF_LIMITS: 'out-of-limits'
+};
+
+// Theme, color-blind and language choice, shared by all pages
+const DISPLAY_SETTINGS_STORAGE_KEY = `${STORAGE_KEY_PREFIX}display`;
+
+// Message catalog: the UI text per language, with the language's text direction
+// Plural entries hold one form per Intl.PluralRules category, with 'other' required
+// (Hebrew 'one' also covers fractions such as 0.5); numbers in {placeholders} are
+// written in the locale's number format. ruleNames translates the colors and labels
+// of the rule presets; other names (e.g. from custom rules) are shown as they are
+const MESSAGES = {
+    en: {
+        name: 'English',
+        direction: 'ltr',
+        starCount: { one: '{count} STAR', other: '{count} STARS' },
+        starValueText: { one: '{count} star, {label}', other: '{count} stars, {label}' },
+        total: { one: 'Total: {count} STAR', other: 'Total: {count} STARS' },
+        totalAnnouncement: { one: 'Total: {count} star', other: 'Total: {count} stars' },
+        addStars: { one: 'Add {count} Star', other: 'Add {count} Stars' },
+        removeStars: { one: 'Remove {count} Star', other: 'Remove {count} Stars' },
+        limitReached: 'Limit reached: {min} to {max} stars',
+        showStats: 'Show stats \u25BE',
+        hideStats: 'Hide stats \u25B4',
+        undo: 'Undo (Ctrl+Z)',
+        redo: 'Redo (Ctrl+Shift+Z)',
+        reset: 'Reset to Original',
+        export: 'Export',
+        import: 'Import',
+        snapshots: 'Snapshots',
+        auditLog: 'Audit log',
+        fixAll: { one: 'Fix {count} malformed line', other: 'Fix {count} malformed lines' },
+        lineName: 'Line {number}',
+        lineRating: '{line} rating',
+        fix: '\u26A0 Fix',
+        malformedLine: 'Malformed line: {problems}. Click to repair.',
+        multipleHalves: '{count} half stars (should be at most one)',
+        halfBeforeFull: 'half star placed before full stars',
+        outOfLimits: { one: '{count} star is outside {min}-{max}', other: '{count} stars are outside {min}-{max}' },
+        repaired: { one: 'Repaired {count} line', other: 'Repaired {count} lines' },
+        statItem: '{label}: {value}',
+        statLines: 'Lines',
+        statAverage: 'Average',
+        statMedian: 'Median',
+        statMin: 'Min',
+        statMax: 'Max',
+        histogramBin: { one: '{value} stars: {count} line', other: '{value} stars: {count} lines' },
+        sortBy: 'Sort:',
+        sortOriginal: 'Original order',
+        sortTotalDesc: 'Stars (high to low)',
+        sortTotalAsc: 'Stars (low to high)',
+        sortColor: 'Color',
+        filterColor: 'Show:',
+        allColors: 'All colors',
+        onlyColor: 'Only {color}',
+        filterMinimum: 'Minimum:',
+        anyValue: 'Any',
+        atLeastStars: { one: '\u2265 {count} star', other: '\u2265 {count} stars' },
+        groupByColor: 'Group by color',
+        groupHeader: '{color} ({count})',
+        selectLines: 'Select lines',
+        doneSelecting: 'Done selecting',
+        selectAll: 'Select all',
+        clearSelection: 'Clear',
+        selectedCount: '{count} selected',
+        bulkAdd: 'Add {step}',
+        bulkRemove: 'Remove {step}',
+        setTo: 'Set to',
+        valueToSet: 'Value to set',
+        toggleBold: 'Toggle bold',
+        bulkChanged: { one: 'Changed {count} line', other: 'Changed {count} lines' },
+        skippedAtLimit: 'skipped {count} at the {min}-{max} limit: {lines}',
+        skippedAtConstraint: 'skipped {count} at a limit or constraint: {lines}',
+        boldToggled: { one: 'Toggled bold on {count} line', other: 'Toggled bold on {count} lines' },
+        invalidBulkValue: '{value} is not a valid value (steps of {step})',
+        rules: 'Rules:',
+        theme: 'Theme:',
+        themeDark: 'Dark',
+        themeLight: 'Light',
+        themeHighContrast: 'High contrast',
+        presetDefault: 'Default (1-5, half stars)',
+        presetWholeStars: 'Whole stars (1-5)',
+        presetQuarterStars: 'Quarter stars (1-5)',
+        presetTenthStars: 'Tenth stars (1-5)',
+        presetTenPoint: 'Ten point (1-10)',
+        colorBlindCues: 'Color-blind cues',
+        language: 'Language:',
+        auditLine: 'Line:',
+        allLines: 'All lines',
+        exportJson: 'Export JSON',
+        clearLog: 'Clear log',
+        auditLogEmpty: 'No changes logged yet.',
+        auditEntry: '{time} {line}: {before} \u2192 {after} ({colorBefore} \u2192 {colorAfter}) by {source}',
+        sourceButton: 'button',
+        sourceKeyboard: 'keyboard',
+        sourcePointer: 'pointer',
+        sourceBulk: 'bulk change',
+        sourceImport: 'import',
+        sourceSnapshot: 'snapshot',
+        sourceApi: 'API',
+        snapshotName: 'Snapshot name',
+        defaultSnapshotName: 'Snapshot {number}',
+        takeSnapshot: 'Take snapshot',
+        compareSnapshot: 'Compare',
+        compareWith: 'with',
+        revertSnapshot: 'Revert page to snapshot',
+        deleteSnapshot: 'Delete snapshot',
+        livePage: 'Live page',
+        noSnapshots: 'No snapshots yet.',
+        snapshotSummary: {
+            one: 'Total: {before} \u2192 {after} ({delta}), {count} line changed',
+            other: 'Total: {before} \u2192 {after} ({delta}), {count} lines changed'
+        },
+        diffLine: 'Line',
+        diffBefore: 'Before',
+        diffAfter: 'After',
+        diffChange: 'Change',
+        diffColor: 'Color',
+        colorChange: '{before} \u2192 {after}',
+        reverted: { one: 'Reverted {count} line to snapshot {name}', other: 'Reverted {count} lines to snapshot {name}' },
+        revertBlocked: { one: '{count} line blocked (see the console)', other: '{count} lines blocked (see the console)' },
+        imported: { one: 'Imported {applied} of {count} row', other: 'Imported {applied} of {count} rows' },
+        importRejected: { one: '{count} row rejected (see the console)', other: '{count} rows rejected (see the console)' },
+        importFailed: '\u26D4 Could not import {file}: {error}',
+        budgetViolation: 'the star budget is {budget} ({used} used)',
+        colorMaxViolation: {
+            one: 'at most {count} {color} line is allowed',
+            other: 'at most {count} {color} lines are allowed'
+        },
+        colorMinViolation: {
+            one: 'at least {count} {color} line is required',
+            other: 'at least {count} {color} lines are required'
+        },
+        notChanged: '\u26D4 {line} not changed: {reason}',
+        remoteRejected: '\u26D4 {line} not set to {value} from another tab: {reason}',
+        budgetLeft: 'Budget: {remaining} of {budget} stars left',
+        budgetOver: 'Budget: {over} stars over {budget} \u26A0',
+        quotaMin: '(min {min})',
+        remoteBadge: '\u21C4 other tab',
+        remoteBadgeTitle: 'Changed in another tab at {time}'
+    },
+    he: {
+        name: 'עברית',
+        direction: 'rtl',
+        starCount: { one: '{count} כוכב', other: '{count} כוכבים' },
+        starValueText: { one: '{count} כוכב, {label}', other: '{count} כוכבים, {label}' },
+        total: { one: 'סה״כ: {count} כוכב', other: 'סה״כ: {count} כוכבים' },
+        totalAnnouncement: { one: 'סה״כ: {count} כוכב', other: 'סה״כ: {count} כוכבים' },
+        addStars: { one: 'הוסף {count} כוכב', other: 'הוסף {count} כוכבים' },
+        removeStars: { one: 'הסר {count} כוכב', other: 'הסר {count} כוכבים' },
+        limitReached: 'הגעת לגבול: {min} עד {max} כוכבים',
+        showStats: 'הצג סטטיסטיקה \u25BE',
+        hideStats: 'הסתר סטטיסטיקה \u25B4',
+        undo: 'בטל (Ctrl+Z)',
+        redo: 'בצע שוב (Ctrl+Shift+Z)',
+        reset: 'חזור למקור',
+        export: 'ייצוא',
+        import: 'ייבוא',
+        snapshots: 'תמונות מצב',
+        auditLog: 'יומן שינויים',
+        fixAll: { one: 'תקן שורה פגומה אחת', other: 'תקן {count} שורות פגומות' },
+        lineName: 'שורה {number}',
+        lineRating: 'דירוג {line}',
+        fix: '\u26A0 תקן',
+        malformedLine: 'שורה פגומה: {problems}. לחץ לתיקון.',
+        multipleHalves: '{count} חצאי כוכבים (מותר לכל היותר אחד)',
+        halfBeforeFull: 'חצי כוכב לפני הכוכבים המלאים',
+        outOfLimits: { one: '{count} כוכב מחוץ לטווח {min}-{max}', other: '{count} כוכבים מחוץ לטווח {min}-{max}' },
+        repaired: { one: 'תוקנה שורה אחת', other: 'תוקנו {count} שורות' },
+        statItem: '{label}: {value}',
+        statLines: 'שורות',
+        statAverage: 'ממוצע',
+        statMedian: 'חציון',
+        statMin: 'מינימום',
+        statMax: 'מקסימום',
+        histogramBin: { one: '{value} כוכבים: שורה אחת', other: '{value} כוכבים: {count} שורות' },
+        sortBy: 'מיון:',
+        sortOriginal: 'הסדר המקורי',
+        sortTotalDesc: 'כוכבים (מהרב למעט)',
+        sortTotalAsc: 'כוכבים (מהמעט לרב)',
+        sortColor: 'צבע',
+        filterColor: 'הצג:',
+        allColors: 'כל הצבעים',
+        onlyColor: 'רק {color}',
+        filterMinimum: 'מינימום:',
+        anyValue: 'הכל',
+        atLeastStars: { one: '\u2265 {count} כוכב', other: '\u2265 {count} כוכבים' },
+        groupByColor: 'קבץ לפי צבע',
+        groupHeader: '{color} ({count})',
+        selectLines: 'בחר שורות',
+        doneSelecting: 'סיום בחירה',
+        selectAll: 'בחר הכל',
+        clearSelection: 'נקה',
+        selectedCount: '{count} נבחרו',
+        bulkAdd: 'הוסף {step}',
+        bulkRemove: 'הסר {step}',
+        setTo: 'קבע ל',
+        valueToSet: 'ערך לקביעה',
+        toggleBold: 'החלף הדגשה',
+        bulkChanged: { one: 'שונתה שורה אחת', other: 'שונו {count} שורות' },
+        skippedAtLimit: 'דולגו {count} בגבול {min}-{max}: {lines}',
+        skippedAtConstraint: 'דולגו {count} בגבול או באילוץ: {lines}',
+        boldToggled: { one: 'ההדגשה הוחלפה בשורה אחת', other: 'ההדגשה הוחלפה ב-{count} שורות' },
+        invalidBulkValue: '{value} אינו ערך תקין (בצעדים של {step})',
+        rules: 'כללים:',
+        theme: 'ערכת נושא:',
+        themeDark: 'כהה',
+        themeLight: 'בהיר',
+        themeHighContrast: 'ניגודיות גבוהה',
+        presetDefault: 'ברירת מחדל (1-5, חצאי כוכבים)',
+        presetWholeStars: 'כוכבים שלמים (1-5)',
+        presetQuarterStars: 'רבעי כוכבים (1-5)',
+        presetTenthStars: 'עשיריות כוכב (1-5)',
+        presetTenPoint: 'סולם עשר (1-10)',
+        colorBlindCues: 'סימנים לעיוורי צבעים',
+        language: 'שפה:',
+        auditLine: 'שורה:',
+        allLines: 'כל השורות',
+        exportJson: 'ייצוא JSON',
+        clearLog: 'נקה יומן',
+        auditLogEmpty: 'עדיין לא נרשמו שינויים.',
+        auditEntry: '{time} {line}: {before} \u2190 {after} ({colorBefore} \u2190 {colorAfter}) דרך {source}',
+        sourceButton: 'כפתור',
+        sourceKeyboard: 'מקלדת',
+        sourcePointer: 'עכבר',
+        sourceBulk: 'שינוי מרובה',
+        sourceImport: 'ייבוא',
+        sourceSnapshot: 'תמונת מצב',
+        sourceApi: 'API',
+        snapshotName: 'שם תמונת המצב',
+        defaultSnapshotName: 'תמונת מצב {number}',
+        takeSnapshot: 'צלם תמונת מצב',
+        compareSnapshot: 'השווה את',
+        compareWith: 'עם',
+        revertSnapshot: 'החזר את הדף לתמונת המצב',
+        deleteSnapshot: 'מחק תמונת מצב',
+        livePage: 'הדף הנוכחי',
+        noSnapshots: 'עדיין אין תמונות מצב.',
+        snapshotSummary: {
+            one: 'סה״כ: {before} \u2190 {after} ({delta}), שורה אחת השתנתה',
+            other: 'סה״כ: {before} \u2190 {after} ({delta}), {count} שורות השתנו'
+        },
+        diffLine: 'שורה',
+        diffBefore: 'לפני',
+        diffAfter: 'אחרי',
+        diffChange: 'שינוי',
+        diffColor: 'צבע',
+        colorChange: '{before} \u2190 {after}',
+        reverted: { one: 'שורה אחת הוחזרה לתמונת המצב {name}', other: '{count} שורות הוחזרו לתמונת המצב {name}' },
+        revertBlocked: { one: 'שורה אחת נחסמה (פרטים במסוף)', other: '{count} שורות נחסמו (פרטים במסוף)' },
+        imported: { one: 'יובאו {applied} מתוך שורה אחת', other: 'יובאו {applied} מתוך {count} שורות' },
+        importRejected: { one: 'שורה אחת נדחתה (פרטים במסוף)', other: '{count} שורות נדחו (פרטים במסוף)' },
+        importFailed: '\u26D4 לא ניתן לייבא את {file}: {error}',
+        budgetViolation: 'תקציב הכוכבים הוא {budget} ({used} בשימוש)',
+        colorMaxViolation: {
+            one: 'מותרת לכל היותר שורה אחת בצבע {color}',
+            other: 'מותרות לכל היותר {count} שורות בצבע {color}'
+        },
+        colorMinViolation: {
+            one: 'נדרשת לפחות שורה אחת בצבע {color}',
+            other: 'נדרשות לפחות {count} שורות בצבע {color}'
+        },
+        notChanged: '\u26D4 {line} לא שונתה: {reason}',
+        remoteRejected: '\u26D4 {line} לא שונתה ל-{value} מלשונית אחרת: {reason}',
+        budgetLeft: 'תקציב: נותרו {remaining} מתוך {budget} כוכבים',
+        budgetOver: 'תקציב: {over} כוכבים מעל {budget} \u26A0',
+        quotaMin: '(מינימום {min})',
+        remoteBadge: '\u21C4 לשונית אחרת',
+        remoteBadgeTitle: 'שונתה בלשונית אחרת בשעה {time}',
+        ruleNames: {
+            red: 'אדום',
+            yellow: 'צהוב',
+            green: 'ירוק',
+            HALF: 'חצי',
+            LOW: 'נמוך',
+            MID: 'בינוני',
+            HIGH: 'גבוה'
+        }
+    }
 };
+const DEFAULT_LOCALE = 'en';
+
+// Gaps between a line's stars and the injected count, cue, badge and buttons: the
+// margin goes on the side the page's lines start from (see buildStylesheet)
+const LINE_PART_GAPS = [
+    [`.${CSS_CLASSES.STAR_COUNT}`, '10px'],
+    [`.${CSS_CLASSES.STAR_CUE}`, '6px'],
+    [`.${CSS_CLASSES.REMOTE_BADGE}`, '6px'],
+    [`.${CSS_CLASSES.STAR_CONTROLS}`, '10px']
+];
 
-// Display styling constants
+// Display styling constants (written to the injected stylesheet, see STYLESHEET_RULES)
 const COUNT_DISPLAY_STYLES = {
-    marginLeft: '10px',
     fontSize: '16px',
     fontWeight: 'bold'
 };
 
+const STAR_CUE_STYLES = {
+    fontSize: '12px',
+    fontWeight: 'bold',
+    color: 'inherit'
+};
+
 const TOTAL_DISPLAY_STYLES = {
     marginTop: '20px',
     padding: '15px',
-    border: '2px solid white',
+    border: '2px solid var(--star-counter-border)',
     fontSize: '20px',
     fontWeight: 'bold',
     textAlign: 'center',
-    backgroundColor: '#444',
-    color: '#FFF'
+    backgroundColor: 'var(--star-counter-bg)',
+    color: 'var(--star-counter-text)'
+};
+
+// Hides an element visually while keeping it available to screen readers
+const VISUALLY_HIDDEN_STYLES = {
+    position: 'absolute',
+    width: '1px',
+    height: '1px',
+    overflow: 'hidden',
+    clip: 'rect(0 0 0 0)',
+    whiteSpace: 'nowrap'
+};
+
+const STATS_PANEL_STYLES = {
+    marginTop: '10px',
+    fontSize: '14px',
+    fontWeight: 'normal',
+    textAlign: 'start'
+};
+
+const HISTOGRAM_STYLES = {
+    display: 'flex',
+    alignItems: 'flex-end',
+    gap: '4px',
+    height: '60px',
+    marginTop: '8px'
+};
+
+const TOOLBAR_STYLES = {
+    margin: '10px 0',
+    padding: '8px',
+    backgroundColor: 'var(--star-counter-bg)',
+    color: 'var(--star-counter-text)',
+    fontSize: '14px'
+};
+
+const GROUP_HEADER_STYLES = {
+    marginTop: '10px',
+    padding: '4px 0',
+    borderBottom: '1px solid currentColor',
+    fontWeight: 'bold'
+};
+
+const SELECTED_LINE_STYLES = {
+    outline: '2px solid var(--star-counter-accent)',
+    backgroundColor: 'var(--star-counter-selected-bg)'
 };
 
 const BUTTON_STYLES = {
@@ -66,519 +730,5948 @@ const BUTTON_STYLES = {
     padding: '5px 10px',
     fontSize: '12px',
     cursor: 'pointer',
-    border: '1px solid #ccc',
+    border: '1px solid var(--star-counter-button-border)',
+    borderRadius: '3px',
+    backgroundColor: 'var(--star-counter-button-bg)',
+    color: 'var(--star-counter-text)'
+};
+
+const REMOTE_BADGE_STYLES = {
+    padding: '0 4px',
+    fontSize: '11px',
+    border: '1px solid var(--star-counter-accent)',
     borderRadius: '3px',
-    backgroundColor: '#555',
-    color: '#FFF'
+    color: 'var(--star-counter-accent)'
+};
+
+const CONSTRAINT_STATUS_STYLES = {
+    marginTop: '6px',
+    fontSize: '14px',
+    fontWeight: 'normal'
+};
+
+const CONSTRAINT_MESSAGE_STYLES = {
+    marginTop: '4px',
+    fontSize: '14px',
+    color: 'var(--star-counter-color-red, red)'
 };
 
+// Panels opened from the page controls (audit log, snapshots)
+const PAGE_PANEL_STYLES = {
+    margin: '10px 0',
+    padding: '8px',
+    maxHeight: '240px',
+    overflowY: 'auto',
+    backgroundColor: 'var(--star-counter-bg)',
+    color: 'var(--star-counter-text)',
+    fontSize: '13px',
+    textAlign: 'start'
+};
+
+// Stylesheet rules: selector and style object (the theme variables, cue visibility
+// and line part gaps are added by buildStylesheet)
+
+const STYLESHEET_RULES = [
+    [`.${CSS_CLASSES.STAR_COUNT}`, COUNT_DISPLAY_STYLES],
+    [`.${CSS_CLASSES.STAR_CUE}`, STAR_CUE_STYLES],
+    [`.${CSS_CLASSES.REMOTE_BADGE}`, REMOTE_BADGE_STYLES],
+    [`#${ELEMENT_IDS.TOTAL_DISPLAY}`, TOTAL_DISPLAY_STYLES],
+    [`.${CSS_CLASSES.STATS_PANEL}`, STATS_PANEL_STYLES],
+    [`.${CSS_CLASSES.CONSTRAINT_STATUS}`, CONSTRAINT_STATUS_STYLES],
+    [`.${CSS_CLASSES.CONSTRAINT_MESSAGE}`, CONSTRAINT_MESSAGE_STYLES],
+    [`.${CSS_CLASSES.CONSTRAINT_MESSAGE}[data-tone="info"]`, { color: 'inherit' }],
+    [`.${CSS_CLASSES.TOOLBAR}, .${CSS_CLASSES.BULK_BAR}`, TOOLBAR_STYLES],
+    [`.${CSS_CLASSES.GROUP_HEADER}`, GROUP_HEADER_STYLES],
+    [`.${CSS_CLASSES.AUDIT_LOG_PANEL}, .${CSS_CLASSES.SNAPSHOT_PANEL}`, PAGE_PANEL_STYLES],
+    [`.${CSS_CLASSES.DIFF_UP}`, { color: 'var(--star-counter-color-green, green)' }],
+    [`.${CSS_CLASSES.DIFF_DOWN}`, { color: 'var(--star-counter-color-red, red)' }],
+    [`.${CSS_CLASSES.DIFF_COLOR}`, { fontWeight: 'bold' }],
+    [`.${CSS_CLASSES.BUTTON}`, BUTTON_STYLES],
+    [`#${ELEMENT_IDS.LIVE_REGION}`, VISUALLY_HIDDEN_STYLES]
+];
+
 // DOM element cache to avoid repeated queries
 let cachedMainContainer = null;
 let cachedTotalDisplay = null;
 
+// Rating state: the model is the single source of truth, lines map to model indexes
+let ratingModel = null;
+const registeredLines = [];
+const lineIndexByElement = new Map();
+
+// Problems of the malformed lines, by line element (see checkLineProblems); well-formed lines have no entry
+const lineProblems = new Map();
+
+// Each line's attributes from before enhancement (see RESTORED_LINE_ATTRIBUTES)
+const originalLineAttributes = new Map();
+
+// Aborting it removes every listener the counter added to page-owned elements
+// (lines and document); listeners on injected elements go with the elements
+const pageListeners = new AbortController();
+let isInstalled = false;
+
+// Undo/redo history of star changes
+const undoStack = [];
+const redoStack = [];
+let historyKeyHandlerAttached = false;
+
+// Last total read out by the live region (null until the first display)
+let lastAnnouncedTotal = null;
+
+// Pending animation frame for the page-wide refresh (null when none is due)
+let refreshFrame = null;
+
+// Line showing the hover preview of the star picker (null when none)
+let previewLine = null;
+
+// Whether the statistics panel is expanded (null until first shown: decided by line count)
+let statsPanelExpanded = null;
+
+// Sort/filter/group view of the lines; anchors mark each line's original position
+const lineView = {
+    sortBy: 'original',   // 'original', 'total-desc', 'total-asc' or 'color'
+    filterColor: '',      // '' for all colors
+    filterMin: null,      // null for any value
+    groupByColor: false
+};
+const lineAnchors = new Map();
+
+// Selection mode: clicks select lines for bulk changes instead of toggling bold
+let selectionMode = false;
+const selectedLines = new Set();
+let selectionAnchor = null;
+
+// Active theme (key of THEMES), whether color-blind cues are shown, and the
+// chosen locale tag (null to follow the page and browser, see initLocale)
+const displaySettings = {
+    theme: DEFAULT_THEME,
+    colorBlind: false,
+    locale: null
+};
+
+// Active locale: its tag, catalog (from MESSAGES), plural rules and number format (see createLocale)
+let activeLocale = null;
+
+// Text direction of the page around the lines ('ltr' or 'rtl'), read at init
+let pageDirection = 'ltr';
+
+// Site adapter for the page's icon set and layout (chosen at init, see SITE_ADAPTERS)
+let siteAdapter = null;
+
+// Star budget and color quotas (null while constraints mode is off, see createConstraints)
+let constraints = null;
+
+// Saved snapshots (oldest first), and the two compared in the panel (by name, LIVE_PAGE for the page)
+const snapshots = [];
+const snapshotCompare = { from: null, to: LIVE_PAGE };
+
+// Audit log entries (oldest first), and the line index shown in the panel ('' for all lines)
+const auditLog = [];
+let auditLogFilter = '';
+
+// Whether the audit log has entries not saved yet (saved once per frame, see flushAuditLog),
+// and the number of entries this tab added (for entry ids, unique across tabs)
+let hasUnsavedAuditEntries = false;
+let auditEntryCount = 0;
+
+// Listeners registered through StarCounter.on(), by event name
+const eventListeners = {};
+
+// Detail of the init event once it was emitted (replayed to init listeners added later)
+let initEventDetail = null;
+
+// Storage key, fixed at init so lines added later don't change it
+let cachedStorageKey = null;
+
+// Watches #main for lines added later and star icons changed by the page
+let pageObserver = null;
+
+// Tab sync: this tab's id, the open channel, when each line (by model index) last changed,
+// the changes waiting for the next frame's message, and the line index per storage id
+const tabId = Math.random().toString(36).slice(2);
+let syncChannel = null;
+let isTabSyncStarted = false;
+const lineChangeTimes = new Map();
+const pendingSyncChanges = new Map();
+const lineIndexByStorageId = new Map();
+let storageIdLineCount = 0; // Lines in lineIndexByStorageId (ids can repeat, so not its size)
+
+// ============================================
+// SITE ADAPTERS - Icon Sets and Page Layouts
+// ============================================
+//
+// A site adapter tells the counter how a page lays out its stars:
+//   name                         - Shown in the console
+//   findContainer(document)      - Element holding the lines (#main on the assignment page);
+//                                  the document defaults to the current page
+//   findLines(container)         - The line elements, in page order
+//   lineSelector                 - Optional: CSS selector matching a line, so the page watcher
+//                                  can find added lines without reading them all again
+//   countStars(lineElement)      - {fullStars, halfStars} read from the page, without changing it
+//   findStars(lineElement, type) - The line's 'full' or 'half' star elements, in order
+//   createStar(type, document)   - A new 'full' or 'half' star element (for the given page)
+//   prepareLine(lineElement)     - Optional: called once when a line is registered
+//   glyphs                       - {className, full, half, empty}: font class and characters
+//                                  for the ghost and partial stars the counter draws itself
+
+/**
+ * Creates an adapter for pages whose stars can be found with CSS selectors
+ * @param {Object} config - {name, containerSelector, lineSelector, fullStarSelector,
+ *   halfStarSelector, starMarkup: {full, half}, glyphs}
+ * @returns {Object} Site adapter
+ */
+function createSelectorAdapter(config) {
+    return {
+        name: config.name,
+        glyphs: config.glyphs,
+        lineSelector: config.lineSelector,
+        
+        findContainer: function(pageDocument) {
+            return (pageDocument || document).querySelector(config.containerSelector);
+        },
+        
+        findLines: function(container) {
+            return Array.from(container.querySelectorAll(config.lineSelector));
+        },
+        
+        countStars: function(lineElement) {
+            return {
+                fullStars: lineElement.querySelectorAll(config.fullStarSelector).length,
+                halfStars: lineElement.querySelectorAll(config.halfStarSelector).length
+            };
+        },
+        
+        findStars: function(lineElement, starType) {
+            const selector = starType === 'half' ? config.halfStarSelector : config.fullStarSelector;
+            return Array.from(lineElement.querySelectorAll(selector));
+        },
+        
+        // Parsed from markup (same as the original HTML), so icon fonts process
+        // the icon and SVG gets its namespace
+        createStar: function(starType, pageDocument) {
+            const tempDiv = (pageDocument || document).createElement('div');
+            tempDiv.innerHTML = config.starMarkup[starType];
+            return tempDiv.firstElementChild;
+        }
+    };
+}
+
+/**
+ * Gets the star characters written directly in a line's text (not yet wrapped in spans)
+ * @param {HTMLElement} lineElement - The line element
+ * @returns {Array} Text nodes of the line that contain star characters
+ */
+function findLooseTextStars(lineElement) {
+    return Array.from(lineElement.childNodes).filter(function(node) {
+        return node.nodeType === TEXT_NODE_TYPE &&
+               (node.textContent.indexOf(TEXT_STARS.FULL) !== -1 || node.textContent.indexOf(TEXT_STARS.HALF) !== -1);
+    });
+}
+
+/**
+ * Wraps each star character in a line's text in its own span, so it can be
+ * counted, removed and added like an icon. The visible text stays the same
+ * @param {HTMLElement} lineElement - The line element
+ * @param {Function} createStar - Creates a 'full' or 'half' star span (type, document)
+ */
+function wrapTextStars(lineElement, createStar) {
+    const pageDocument = lineElement.ownerDocument;
+    
+    findLooseTextStars(lineElement).forEach(function(textNode) {
+        const fragment = pageDocument.createDocumentFragment();
+        let text = '';
+        
+        Array.from(textNode.textContent).forEach(function(character) {
+            if (character !== TEXT_STARS.FULL && character !== TEXT_STARS.HALF) {
+                text += character;
+                return;
+            }
+            
+            if (text) {
+                fragment.appendChild(pageDocument.createTextNode(text));
+                text = '';
+            }
+            fragment.appendChild(createStar(character === TEXT_STARS.HALF ? 'half' : 'full', pageDocument));
+        });
+        if (text) {
+            fragment.appendChild(pageDocument.createTextNode(text));
+        }
+        
+        lineElement.replaceChild(fragment, textNode);
+    });
+}
+
+/**
+ * Creates the adapter for stars written as plain ★ and ½ characters
+ * Characters are wrapped in spans when the line is registered, and again
+ * whenever the page writes new ones
+ * @returns {Object} Site adapter
+ */
+function createTextAdapter() {
+    const adapter = createSelectorAdapter({
+        name: 'Plain text (★/½)',
+        containerSelector: `#${ELEMENT_IDS.MAIN_CONTAINER}`,
+        lineSelector: `.${CSS_CLASSES.WRAPPER}`,
+        fullStarSelector: `.${TEXT_STARS.CLASS_NAME}[data-star="full"]`,
+        halfStarSelector: `.${TEXT_STARS.CLASS_NAME}[data-star="half"]`,
+        starMarkup: {
+            full: `<span class="${TEXT_STARS.CLASS_NAME}" data-star="full">${TEXT_STARS.FULL}</span>`,
+            half: `<span class="${TEXT_STARS.CLASS_NAME}" data-star="half">${TEXT_STARS.HALF}</span>`
+        },
+        glyphs: { className: '', full: TEXT_STARS.FULL, half: TEXT_STARS.HALF, empty: TEXT_STARS.EMPTY }
+    });
+    const countWrappedStars = adapter.countStars;
+    const findWrappedStars = adapter.findStars;
+    
+    adapter.countStars = function(lineElement) {
+        const count = countWrappedStars(lineElement);
+        findLooseTextStars(lineElement).forEach(function(textNode) {
+            Array.from(textNode.textContent).forEach(function(character) {
+                if (character === TEXT_STARS.FULL) {
+                    count.fullStars++;
+                } else if (character === TEXT_STARS.HALF) {
+                    count.halfStars++;
+                }
+            });
+        });
+        return count;
+    };
+    adapter.findStars = function(lineElement, starType) {
+        wrapTextStars(lineElement, adapter.createStar);
+        return findWrappedStars(lineElement, starType);
+    };
+    adapter.prepareLine = function(lineElement) {
+        wrapTextStars(lineElement, adapter.createStar);
+    };
+    
+    return adapter;
+}
+
+// Built-in adapters, in detection order (the first wins a tie)
+const SITE_ADAPTERS = {
+    fontAwesome4: createSelectorAdapter({
+        name: 'Font Awesome 4',
+        containerSelector: `#${ELEMENT_IDS.MAIN_CONTAINER}`,
+        lineSelector: `.${CSS_CLASSES.WRAPPER}`,
+        fullStarSelector: `.fa.${CSS_CLASSES.FULL_STAR}`,
+        halfStarSelector: `.fa.${CSS_CLASSES.HALF_STAR}`,
+        starMarkup: {
+            full: `<i class="fa ${CSS_CLASSES.FULL_STAR}"></i>`,
+            half: `<i class="fa ${CSS_CLASSES.HALF_STAR}"></i>`
+        },
+        glyphs: { className: 'fa', full: '\uf005', half: '\uf123', empty: '\uf006' }
+    }),
+    
+    // Font Awesome 6 still accepts the Font Awesome 5 names
+    fontAwesome5: createSelectorAdapter({
+        name: 'Font Awesome 5/6',
+        containerSelector: `#${ELEMENT_IDS.MAIN_CONTAINER}`,
+        lineSelector: `.${CSS_CLASSES.WRAPPER}`,
+        fullStarSelector: '.fas.fa-star, .fa-solid.fa-star',
+        halfStarSelector: '.fa-star-half-alt, .fa-star-half-stroke',
+        starMarkup: {
+            full: '<i class="fas fa-star"></i>',
+            half: '<i class="fas fa-star-half-alt"></i>'
+        },
+        glyphs: { className: 'fas', full: '\uf005', half: '\uf5c0', empty: TEXT_STARS.EMPTY }
+    }),
+    
+    svg: createSelectorAdapter({
+        name: 'Inline SVG',
+        containerSelector: `#${ELEMENT_IDS.MAIN_CONTAINER}`,
+        lineSelector: `.${CSS_CLASSES.WRAPPER}`,
+        fullStarSelector: 'svg.star-full',
+        halfStarSelector: 'svg.star-half',
+        starMarkup: {
+            full: `<svg class="star star-full" viewBox="0 0 24 24" width="1em" height="1em" aria-hidden="true">` +
+                  `<polygon points="${SVG_STAR_POINTS}" fill="currentColor"/></svg>`,
+            half: `<svg class="star star-half" viewBox="0 0 24 24" width="1em" height="1em" aria-hidden="true">` +
+                  `<polygon points="${SVG_STAR_POINTS}" fill="none" stroke="currentColor" stroke-width="1.5"/>` +
+                  `<polygon points="${SVG_HALF_STAR_POINTS}" fill="currentColor"/></svg>`
+        },
+        glyphs: { className: '', full: TEXT_STARS.FULL, half: TEXT_STARS.HALF, empty: TEXT_STARS.EMPTY }
+    }),
+    
+    text: createTextAdapter()
+};
+
+/**
+ * Counts the stars an adapter finds on a page
+ * @param {Object} adapter - Site adapter
+ * @param {Document} pageDocument - Optional page to look at (defaults to the current page)
+ * @returns {number} Full and half stars found (0 if the container is missing)
+ */
+function countAdapterStars(adapter, pageDocument) {
+    const container = adapter.findContainer(pageDocument);
+    if (!container) {
+        return 0;
+    }
+    
+    return adapter.findLines(container).reduce(function(sum, line) {
+        const count = adapter.countStars(line);
+        return sum + count.fullStars + count.halfStars;
+    }, 0);
+}
+
+/**
+ * Picks the built-in adapter that finds the most stars on the page
+ * @param {Document} pageDocument - Optional page to look at (defaults to the current page)
+ * @returns {Object} Site adapter (Font Awesome 4 if none finds any)
+ */
+function detectSiteAdapter(pageDocument) {
+    let bestAdapter = SITE_ADAPTERS.fontAwesome4;
+    let bestStarCount = 0;
+    
+    Object.keys(SITE_ADAPTERS).forEach(function(key) {
+        const starCount = countAdapterStars(SITE_ADAPTERS[key], pageDocument);
+        if (starCount > bestStarCount) {
+            bestAdapter = SITE_ADAPTERS[key];
+            bestStarCount = starCount;
+        }
+    });
+    return bestAdapter;
+}
+
+/**
+ * Resolves an adapter key, an adapter object or 'auto' into a site adapter
+ * @param {string|Object} adapterOrKey - Key from SITE_ADAPTERS, a custom adapter, or 'auto'/undefined to detect
+ * @param {Document} pageDocument - Optional page to detect on (defaults to the current page)
+ * @returns {Object} Site adapter
+ * @throws {Error} If the key is unknown or the adapter is missing a method
+ */
+function resolveSiteAdapter(adapterOrKey, pageDocument) {
+    if (!adapterOrKey || adapterOrKey === 'auto') {
+        return detectSiteAdapter(pageDocument);
+    }
+    
+    if (typeof adapterOrKey === 'string') {
+        if (!SITE_ADAPTERS.hasOwnProperty(adapterOrKey)) {
+            throw new Error(`Unknown site adapter "${adapterOrKey}" (available: auto, ${Object.keys(SITE_ADAPTERS).join(', ')})`);
+        }
+        return SITE_ADAPTERS[adapterOrKey];
+    }
+    
+    SITE_ADAPTER_METHODS.forEach(function(method) {
+        if (typeof adapterOrKey[method] !== 'function') {
+            throw new Error(`Invalid site adapter: ${method}() is missing`);
+        }
+    });
+    return Object.assign({
+        name: 'Custom',
+        glyphs: SITE_ADAPTERS.fontAwesome4.glyphs
+    }, adapterOrKey);
+}
+
+/**
+ * Gets the active site adapter (Font Awesome 4 until init picks one)
+ * @returns {Object} Site adapter
+ */
+function getSiteAdapter() {
+    return siteAdapter || SITE_ADAPTERS.fontAwesome4;
+}
+
+/**
+ * Gets the lines on the page through the active site adapter
+ * @returns {Array} Line elements, in page order (empty if there is no container)
+ */
+function getPageLines() {
+    const container = getMainContainer();
+    return container ? getSiteAdapter().findLines(container) : [];
+}
+
 // ============================================
 // CORE BUSINESS LOGIC - Star Counting
 // ============================================
 
 /**
- * Counts full and half stars in a line element
+ * Rounds a star value to STAR_VALUE_DECIMALS, removing floating point drift
+ * (e.g. 0.1 + 0.2 gives 0.3, not 0.30000000000000004)
+ * @param {number} value - Star value
+ * @returns {number} Rounded value
+ */
+function roundStarValue(value) {
+    const factor = Math.pow(10, STAR_VALUE_DECIMALS);
+    return Math.round(value * factor) / factor;
+}
+
+/**
+ * Reads the fill fraction of a partial star icon
+ * @param {HTMLElement} partialStar - Partial star icon
+ * @returns {number} Fraction between 0 and 1 (0 if the attribute is missing or invalid)
+ */
+function getPartialStarFraction(partialStar) {
+    const fraction = parseFloat(partialStar.dataset.fraction);
+    return fraction > 0 && fraction < 1 ? fraction : 0;
+}
+
+/**
+ * Counts full, half and partial stars in a line element
+ * Reads the page as-is (icons through the site adapter); used to seed the rating model from the original icons
  * @param {HTMLElement} lineElement - The wrapper div containing stars
- * @returns {Object} Object with fullStars, halfStars, and total count
+ * @param {Object} adapter - Optional site adapter (defaults to the active one)
+ * @returns {Object} Object with fullStars, halfStars, partialStars, and total count
  */
-function countStarsInLine(lineElement) {
-    const fullStars = lineElement.querySelectorAll(`.${CSS_CLASSES.FULL_STAR}`);
-    const halfStars = lineElement.querySelectorAll(`.${CSS_CLASSES.HALF_STAR}`);
+function countStarsInLine(lineElement, adapter) {
+    const iconCount = (adapter || getSiteAdapter()).countStars(lineElement);
+    const partialStars = lineElement.querySelectorAll(`.${CSS_CLASSES.PARTIAL_STAR}`);
     
-    const fullStarsCount = fullStars.length;
-    const halfStarsCount = halfStars.length;
-    const total = fullStarsCount + (halfStarsCount * 0.5);
+    const fullStarsCount = iconCount.fullStars;
+    const halfStarsCount = iconCount.halfStars;
+    const partialTotal = Array.from(partialStars).reduce(function(sum, star) {
+        return sum + getPartialStarFraction(star);
+    }, 0);
+    const total = roundStarValue(fullStarsCount + (halfStarsCount * 0.5) + partialTotal);
     
     return {
         fullStars: fullStarsCount,
         halfStars: halfStarsCount,
+        partialStars: partialStars.length,
         total: total
     };
 }
 
 /**
- * Determines the display color for a star count based on business rules:
+ * Checks whether a star count matches a single rule condition
+ * @param {Object} condition - Rule condition ({type, ...})
+ * @param {Object} starCount - Object with {fullStars, halfStars, total}
+ * @returns {boolean} True if the condition applies
+ */
+function matchesCondition(condition, starCount) {
+    switch (condition.type) {
+        case 'hasHalfStar':
+            return starCount.halfStars > 0;
+        case 'range':
+            return (condition.min === undefined || starCount.total >= condition.min) &&
+                   (condition.max === undefined || starCount.total <= condition.max);
+        case 'exact':
+            return starCount.total === condition.value;
+        case 'otherwise':
+            return true;
+        default:
+            return false;
+    }
+}
+
+/**
+ * Finds the first rule condition that matches a star count
+ * @param {Object} starCount - Object with {fullStars, halfStars, total}
+ * @param {Object} rules - Optional rating rules (defaults to the default preset)
+ * @returns {Object|null} Matching condition, or null if none matches
+ */
+function findMatchingCondition(starCount, rules) {
+    const conditions = (rules || RULE_PRESETS.default).conditions;
+    
+    for (let i = 0; i < conditions.length; i++) {
+        if (matchesCondition(conditions[i], starCount)) {
+            return conditions[i];
+        }
+    }
+    return null;
+}
+
+/**
+ * Determines the display color for a star count based on business rules.
+ * With the default rules:
  * - Green: if line has a half-star (regardless of total count)
  * - Red: if no half-star AND total <= 2
  * - Yellow: if no half-star AND total >= 3
  * 
  * @param {Object} starCount - Object with {fullStars, halfStars, total}
- * @returns {string} Color name
+ * @param {Object} rules - Optional rating rules (defaults to the default preset)
+ * @returns {string} Color name (empty if no condition matches)
  */
-function getColorForStarCount(starCount) {
-    // Priority 1: Half-star always makes it green
-    if (starCount.halfStars > 0) {
-        return COLORS.GREEN;
-    }
-    
-    // Priority 2: No half-star, check total count
-    if (starCount.total <= COLOR_THRESHOLDS.RED) {
-        return COLORS.RED;
-    }
-    
-    return COLORS.YELLOW;
+function getColorForStarCount(starCount, rules) {
+    const condition = findMatchingCondition(starCount, rules);
+    return condition ? condition.color : '';
+}
+
+/**
+ * Determines the rule label (e.g. LOW/MID/HALF) for a star count
+ * @param {Object} starCount - Object with {fullStars, halfStars, total}
+ * @param {Object} rules - Optional rating rules (defaults to the default preset)
+ * @returns {string} Label (empty if no condition matches)
+ */
+function getLabelForStarCount(starCount, rules) {
+    const condition = findMatchingCondition(starCount, rules);
+    return condition ? condition.label : '';
 }
 
 /**
  * Validates if a star count change is within allowed limits (1-5 stars)
  * @param {number} currentTotal - Current total star count
  * @param {number} changeAmount - Amount to change (can be negative)
+ * @param {Object} limits - Optional {MIN, MAX} limits (defaults to STAR_LIMITS)
  * @returns {boolean} True if change is allowed
  */
-function isStarChangeAllowed(currentTotal, changeAmount) {
-    const newTotal = currentTotal + changeAmount;
-    return newTotal >= STAR_LIMITS.MIN && newTotal <= STAR_LIMITS.MAX;
+function isStarChangeAllowed(currentTotal, changeAmount, limits) {
+    const bounds = limits || STAR_LIMITS;
+    const newTotal = roundStarValue(currentTotal + changeAmount);
+    return newTotal >= bounds.MIN && newTotal <= bounds.MAX;
+}
+
+/**
+ * Converts a rating value into the star count shape used for display and colors
+ * A fraction of exactly 0.5 is a half-star; any other fraction is a partial star
+ * @param {number} value - Rating value
+ * @returns {Object} Object with fullStars, halfStars, partialStars, fraction, and total count
+ */
+function valueToStarCount(value) {
+    const total = roundStarValue(value);
+    const fullStars = Math.floor(total);
+    const fraction = roundStarValue(total - fullStars);
+    
+    return {
+        fullStars: fullStars,
+        halfStars: fraction === 0.5 ? 1 : 0,
+        partialStars: fraction > 0 && fraction !== 0.5 ? 1 : 0,
+        fraction: fraction,
+        total: total
+    };
 }
 
 // ============================================
-// DOM UTILITIES - Element Creation & Caching
+// RATING RULES - Validation and Presets
 // ============================================
 
 /**
- * Gets or caches the main container element
- * @returns {HTMLElement} Main container div
+ * Checks whether a value lies on the rules' step grid (counted from min)
+ * @param {number} value - Rating value
+ * @param {Object} rules - Rating rules
+ * @returns {boolean} True if the value is a whole number of steps from min
  */
-function getMainContainer() {
-    if (!cachedMainContainer) {
-        cachedMainContainer = document.querySelector(`#${ELEMENT_IDS.MAIN_CONTAINER}`);
-    }
-    return cachedMainContainer;
+function isValueOnStep(value, rules) {
+    const steps = (value - rules.min) / rules.step;
+    return Math.abs(steps - Math.round(steps)) < 1e-9;
 }
 
 /**
- * Creates and styles the count display element for a line
- * @param {HTMLElement} lineElement - Parent line element
- * @returns {HTMLElement} The created count display span
+ * Checks whether a number is a multiple of a quarter or a tenth star
+ * (the finest precisions the renderer supports)
+ * @param {number} value - Number to check
+ * @returns {boolean} True if the value is supported
  */
-function createCountDisplayElement(lineElement) {
-    const countDisplay = document.createElement('span');
-    countDisplay.classList.add(CSS_CLASSES.STAR_COUNT);
-    Object.assign(countDisplay.style, COUNT_DISPLAY_STYLES);
-    lineElement.appendChild(countDisplay);
-    return countDisplay;
+function isSupportedPrecision(value) {
+    return [4, 10].some(function(divisions) {
+        const parts = value * divisions;
+        return Math.abs(parts - Math.round(parts)) < 1e-9;
+    });
 }
 
 /**
- * Creates and styles the total display element at the bottom
- * @returns {HTMLElement} The created total display div
+ * Throws a clear error for an invalid rules configuration
+ * @param {string} problem - What is wrong
  */
-function createTotalDisplayElement() {
-    const totalDisplay = document.createElement('div');
-    totalDisplay.id = ELEMENT_IDS.TOTAL_DISPLAY;
-    Object.assign(totalDisplay.style, TOTAL_DISPLAY_STYLES);
-    getMainContainer().appendChild(totalDisplay);
-    return totalDisplay;
+function failRules(problem) {
+    throw new Error(`Invalid star rules: ${problem}`);
 }
 
 /**
- * Gets or creates the total display element (cached)
- * @returns {HTMLElement} Total display div
+ * Validates a single color condition
+ * @param {Object} condition - Rule condition
+ * @param {number} position - Position in the conditions list (for error messages)
  */
-function getTotalDisplay() {
-    if (!cachedTotalDisplay) {
-        cachedTotalDisplay = document.querySelector(`#${ELEMENT_IDS.TOTAL_DISPLAY}`) || 
-                            createTotalDisplayElement();
+function validateCondition(condition, position) {
+    const where = `conditions[${position}]`;
+    
+    if (!condition || typeof condition !== 'object') {
+        failRules(`${where} must be an object`);
     }
-    return cachedTotalDisplay;
-}
+    if (['hasHalfStar', 'range', 'exact', 'otherwise'].indexOf(condition.type) === -1) {
+        failRules(`${where}.type "${condition.type}" must be one of hasHalfStar, range, exact, otherwise`);
+    }
+    if (typeof condition.color !== 'string' || condition.color === '') {
+        failRules(`${where}.color must be a non-empty string`);
+    }
+    if (typeof condition.label !== 'string') {
+        failRules(`${where}.label must be a string`);
+    }
+    
+    if (condition.type === 'range') {
+        const hasMin = condition.min !== undefined;
+        const hasMax = condition.max !== undefined;
+        
+        if (!hasMin && !hasMax) {
+            failRules(`${where} is a range without min or max`);
+        }
+        if ((hasMin && !Number.isFinite(condition.min)) || (hasMax && !Number.isFinite(condition.max))) {
+            failRules(`${where}.min/max must be numbers`);
+        }
+        if (hasMin && hasMax && condition.min > condition.max) {
+            failRules(`${where}.min (${condition.min}) is greater than its max (${condition.max})`);
+        }
+    }
+    
+    if (condition.type === 'exact' && !Number.isFinite(condition.value)) {
+        failRules(`${where}.value must be a number`);
+    }
+}
+
+/**
+ * Validates a rules configuration and returns a normalized copy
+ * Every value from min to max (in steps) must match at least one condition
+ * 
+ * @param {Object} config - {name, min, max, step, conditions}
+ * @returns {Object} Validated rules
+ * @throws {Error} If the configuration is invalid
+ */
+function createRules(config) {
+    if (!config || typeof config !== 'object') {
+        failRules('expected an object with min, max, step and conditions');
+    }
+    
+    const rules = {
+        name: config.name || 'Custom',
+        min: config.min,
+        max: config.max,
+        step: config.step,
+        buttonSteps: config.buttonSteps,
+        conditions: config.conditions
+    };
+    
+    if (!Number.isFinite(rules.min) || !Number.isFinite(rules.max) || rules.min < 0) {
+        failRules('min and max must be numbers, with min 0 or more');
+    }
+    if (rules.min >= rules.max) {
+        failRules(`min (${rules.min}) must be less than max (${rules.max})`);
+    }
+    if (!Number.isFinite(rules.step) || rules.step <= 0 || !isSupportedPrecision(rules.step)) {
+        failRules(`step (${rules.step}) must be a positive multiple of 0.25 or 0.1`);
+    }
+    if (!isSupportedPrecision(rules.min)) {
+        failRules(`min (${rules.min}) must be a multiple of 0.25 or 0.1`);
+    }
+    if (!isValueOnStep(rules.max, rules)) {
+        failRules(`max (${rules.max}) must be reachable from min (${rules.min}) in steps of ${rules.step}`);
+    }
+    if (rules.buttonSteps === undefined) {
+        rules.buttonSteps = rules.step < 1 ? [1, rules.step] : [rules.step];
+    } else if (!Array.isArray(rules.buttonSteps) || rules.buttonSteps.length === 0) {
+        failRules('buttonSteps must be a non-empty array of step sizes');
+    } else {
+        rules.buttonSteps.forEach(function(buttonStep) {
+            if (!(buttonStep > 0) || !isValueOnStep(rules.min + buttonStep, rules)) {
+                failRules(`buttonSteps entry ${buttonStep} must be a positive multiple of step ${rules.step}`);
+            }
+        });
+        rules.buttonSteps = rules.buttonSteps.slice();
+    }
+    if (!Array.isArray(rules.conditions) || rules.conditions.length === 0) {
+        failRules('conditions must be a non-empty array');
+    }
+    
+    rules.conditions = rules.conditions.map(function(condition, position) {
+        validateCondition(condition, position);
+        return Object.assign({}, condition);
+    });
+    
+    // Every reachable value needs a color
+    for (let value = rules.min; value <= rules.max; value = roundStarValue(value + rules.step)) {
+        if (!findMatchingCondition(valueToStarCount(value), rules)) {
+            failRules(`no condition matches ${value} stars (add a condition or an 'otherwise' fallback)`);
+        }
+    }
+    
+    return rules;
+}
+
+/**
+ * Resolves a preset name or a rules object into validated rules
+ * @param {string|Object} rulesOrPresetName - Preset key from RULE_PRESETS, or a rules config
+ * @returns {Object} Validated rules
+ * @throws {Error} If the preset is unknown or the configuration is invalid
+ */
+function resolveRules(rulesOrPresetName) {
+    if (typeof rulesOrPresetName === 'string') {
+        if (!RULE_PRESETS.hasOwnProperty(rulesOrPresetName)) {
+            failRules(`unknown preset "${rulesOrPresetName}" (available: ${Object.keys(RULE_PRESETS).join(', ')})`);
+        }
+        return createRules(RULE_PRESETS[rulesOrPresetName]);
+    }
+    
+    return createRules(rulesOrPresetName || RULE_PRESETS.default);
+}
+
+// ============================================
+// RATING MODEL - Single Source of Truth
+// ============================================
+
+/**
+ * Holds one numeric rating per line with the min/max and color rules built in.
+ * Has no DOM access, so the rules can be used and tested outside the browser.
+ * The total and the number of lines per color are kept as running counts,
+ * so reading them doesn't visit every line.
+ */
+class RatingModel {
+    /**
+     * @param {Object} rules - Optional validated rules (defaults to the default preset)
+     */
+    constructor(rules) {
+        this.values = [];
+        this.originalValues = [];
+        this.setRules(rules || createRules(RULE_PRESETS.default));
+    }
+
+    /**
+     * Switches to other rating rules; line values are kept as they are
+     * @param {Object} rules - Validated rules (see createRules)
+     */
+    setRules(rules) {
+        this.rules = rules;
+        this.limits = { MIN: rules.min, MAX: rules.max };
+        this.recount(); // Colors depend on the rules
+    }
+
+    /**
+     * Recomputes the running total and the lines per color from all values
+     */
+    recount() {
+        this.total = roundStarValue(this.values.reduce(function(sum, value) {
+            return sum + value;
+        }, 0));
+        this.colorCounts = {};
+        this.getStarCounts().forEach(function(starCount) {
+            const color = getColorForStarCount(starCount, this.rules);
+            this.colorCounts[color] = (this.colorCounts[color] || 0) + 1;
+        }, this);
+    }
+
+    /**
+     * Adds a line with its initial value
+     * The value is taken as-is, so a page that starts outside the limits is kept intact
+     * @param {number} value - Initial rating value
+     * @returns {number} Index of the new line
+     */
+    addLine(value) {
+        this.values.push(value);
+        this.originalValues.push(value);
+        this.total = roundStarValue(this.total + value);
+        
+        const color = this.getColor(this.values.length - 1);
+        this.colorCounts[color] = (this.colorCounts[color] || 0) + 1;
+        return this.values.length - 1;
+    }
+
+    /**
+     * Stores a line's value and updates the running total and color counts
+     * @param {number} index - Line index
+     * @param {number} value - New rating value
+     */
+    writeValue(index, value) {
+        const colorBefore = this.getColor(index);
+        this.total = roundStarValue(this.total + value - this.values[index]);
+        this.values[index] = value;
+        
+        const colorAfter = this.getColor(index);
+        this.colorCounts[colorBefore]--;
+        this.colorCounts[colorAfter] = (this.colorCounts[colorAfter] || 0) + 1;
+    }
+
+    /**
+     * @returns {number} Number of lines in the model
+     */
+    size() {
+        return this.values.length;
+    }
+
+    /**
+     * @param {number} index - Line index
+     * @returns {number} Current rating value of the line
+     */
+    getValue(index) {
+        return this.values[index];
+    }
+
+    /**
+     * @param {number} index - Line index
+     * @returns {number} The value the line had when it was added
+     */
+    getOriginalValue(index) {
+        return this.originalValues[index];
+    }
+
+    /**
+     * @param {number} index - Line index
+     * @returns {Object} Object with fullStars, halfStars, and total count
+     */
+    getStarCount(index) {
+        return valueToStarCount(this.values[index]);
+    }
+
+    /**
+     * @returns {Array} Star count objects for all lines, in index order
+     */
+    getStarCounts() {
+        return this.values.map(valueToStarCount);
+    }
+
+    /**
+     * @param {number} index - Line index
+     * @returns {string} Color name for the line's current value
+     */
+    getColor(index) {
+        return getColorForStarCount(this.getStarCount(index), this.rules);
+    }
+
+    /**
+     * @param {number} index - Line index
+     * @returns {string} Rule label for the line's current value
+     */
+    getLabel(index) {
+        return getLabelForStarCount(this.getStarCount(index), this.rules);
+    }
+
+    /**
+     * @returns {number} Sum of all line values
+     */
+    getTotal() {
+        return this.total;
+    }
+
+    /**
+     * @param {string} color - Color name from the rules
+     * @returns {number} Number of lines currently showing that color
+     */
+    getColorCount(color) {
+        return this.colorCounts[color] || 0;
+    }
+
+    /**
+     * Checks whether a value lies within the model's limits
+     * @param {number} value - Candidate rating value
+     * @returns {boolean} True if the value is allowed
+     */
+    isValueAllowed(value) {
+        return isStarChangeAllowed(value, 0, this.limits);
+    }
+
+    /**
+     * @param {number} index - Line index
+     * @param {number} changeAmount - Amount to change (can be negative)
+     * @returns {boolean} True if the change would stay within limits
+     */
+    canChange(index, changeAmount) {
+        return isStarChangeAllowed(this.values[index], changeAmount, this.limits);
+    }
+
+    /**
+     * Changes a line's value by a relative amount
+     * @param {number} index - Line index
+     * @param {number} changeAmount - Amount to change (can be negative)
+     * @returns {boolean} True if the change was applied
+     */
+    change(index, changeAmount) {
+        if (!this.canChange(index, changeAmount)) {
+            return false; // Change would violate min/max limits
+        }
+        
+        this.writeValue(index, roundStarValue(this.values[index] + changeAmount));
+        return true;
+    }
+
+    /**
+     * Sets a line to an exact value
+     * @param {number} index - Line index
+     * @param {number} value - New rating value
+     * @returns {boolean} True if the value was applied
+     */
+    setValue(index, value) {
+        if (!this.isValueAllowed(value)) {
+            return false;
+        }
+        
+        this.writeValue(index, roundStarValue(value));
+        return true;
+    }
+
+    /**
+     * Sets a value without limit checks: a value the line had before, or one
+     * read back from the page (a line may legitimately be outside the limits)
+     * @param {number} index - Line index
+     * @param {number} value - Previously recorded or page-read rating value
+     */
+    restoreValue(index, value) {
+        this.writeValue(index, value);
+    }
+
+    /**
+     * Returns every line to the value it had when it was added
+     */
+    resetToOriginal() {
+        this.values = this.originalValues.slice();
+        this.recount();
+    }
+}
+
+// ============================================
+// DOM UTILITIES - Element Creation & Caching
+// ============================================
+
+/**
+ * Gets or caches the main container element (found by the site adapter)
+ * @returns {HTMLElement} Main container div
+ */
+function getMainContainer() {
+    if (!cachedMainContainer) {
+        cachedMainContainer = getSiteAdapter().findContainer();
+    }
+    return cachedMainContainer;
+}
+
+/**
+ * Creates and styles the count display element for a line
+ * @param {HTMLElement} lineElement - Parent line element
+ * @returns {HTMLElement} The created count display span
+ */
+function createCountDisplayElement(lineElement) {
+    const countDisplay = document.createElement('span');
+    countDisplay.classList.add(CSS_CLASSES.STAR_COUNT);
+    countDisplay.dir = getTextDirection();
+    lineElement.appendChild(countDisplay);
+    return countDisplay;
+}
+
+/**
+ * Creates and styles the total display element at the bottom
+ * It holds the total line, a statistics toggle and the collapsible statistics panel
+ * @returns {HTMLElement} The created total display div
+ */
+function createTotalDisplayElement() {
+    const totalDisplay = document.createElement('div');
+    totalDisplay.id = ELEMENT_IDS.TOTAL_DISPLAY;
+    totalDisplay.dir = getTextDirection();
+    getMainContainer().appendChild(totalDisplay);
+    return totalDisplay;
+}
+
+/**
+ * Gets a part of the total display, building the parts on first use
+ * @param {string} className - CSS_CLASSES.TOTAL_VALUE, STATS_TOGGLE, STATS_PANEL, CONSTRAINT_STATUS or CONSTRAINT_MESSAGE
+ * @returns {HTMLElement} The requested part
+ */
+function getTotalDisplayPart(className) {
+    const totalDisplay = getTotalDisplay();
+    
+    if (!totalDisplay.querySelector(`.${CSS_CLASSES.TOTAL_VALUE}`)) {
+        totalDisplay.textContent = '';
+        
+        const totalValue = document.createElement('span');
+        totalValue.className = CSS_CLASSES.TOTAL_VALUE;
+        totalDisplay.appendChild(totalValue);
+        
+        const statsToggle = createButton('', CSS_CLASSES.STATS_TOGGLE);
+        statsToggle.style.marginInlineStart = '10px';
+        statsToggle.addEventListener('click', function() {
+            setStatsPanelExpanded(!statsPanelExpanded);
+        });
+        totalDisplay.appendChild(statsToggle);
+        
+        [CSS_CLASSES.CONSTRAINT_STATUS, CSS_CLASSES.CONSTRAINT_MESSAGE].forEach(function(className) {
+            const constraintPart = document.createElement('div');
+            constraintPart.className = className;
+            constraintPart.hidden = true;
+            totalDisplay.appendChild(constraintPart);
+        });
+        
+        const statsPanel = document.createElement('div');
+        statsPanel.className = CSS_CLASSES.STATS_PANEL;
+        totalDisplay.appendChild(statsPanel);
+    }
+    
+    return totalDisplay.querySelector(`.${className}`);
+}
+
+/**
+ * Gets or creates the total display element (cached)
+ * @returns {HTMLElement} Total display div
+ */
+function getTotalDisplay() {
+    if (!cachedTotalDisplay) {
+        cachedTotalDisplay = document.querySelector(`#${ELEMENT_IDS.TOTAL_DISPLAY}`) || 
+                            createTotalDisplayElement();
+    }
+    return cachedTotalDisplay;
+}
+
+/**
+ * Creates a partially filled star: the star glyph with a gradient clipped to it,
+ * filled in the line's star color up to the fraction and faded after it
+ * @param {number} fraction - Fill fraction between 0 and 1
+ * @param {string} fillColor - Color of the filled part
+ * @returns {HTMLElement} The created partial star icon
+ */
+function createPartialStarIcon(fraction, fillColor) {
+    const percent = `${roundStarValue(fraction * 100)}%`;
+    const partialStar = document.createElement('i');
+    const glyphs = getSiteAdapter().glyphs;
+    
+    partialStar.className = `${glyphs.className} ${CSS_CLASSES.PARTIAL_STAR}`.trim();
+    partialStar.dataset.fraction = fraction;
+    partialStar.textContent = glyphs.full;
+    Object.assign(partialStar.style, {
+        backgroundImage: `linear-gradient(90deg, ${fillColor} ${percent}, ${PARTIAL_STAR.EMPTY_COLOR} ${percent})`,
+        webkitBackgroundClip: 'text',
+        backgroundClip: 'text',
+        color: 'transparent'
+    });
+    
+    return partialStar;
+}
+
+/**
+ * Gets the color the page uses for full stars in a line
+ * @param {HTMLElement} lineElement - The line element
+ * @returns {string} CSS color
+ */
+function getStarColor(lineElement) {
+    const fullStar = getSiteAdapter().findStars(lineElement, 'full')[0];
+    return fullStar ? window.getComputedStyle(fullStar).color : PARTIAL_STAR.DEFAULT_COLOR;
+}
 
 /**
- * Creates a star icon element using innerHTML (same method as original HTML)
- * This ensures Font Awesome processes the icon correctly
+ * Creates a star icon element in the page's icon set (through the site adapter)
+ * The built-in adapters use innerHTML (same method as original HTML), so
+ * Font Awesome processes the icon correctly ("square instead of star" bug)
  * 
  * @param {string} starType - 'full' for full star, 'half' for half star
  * @returns {HTMLElement} The created star icon element
  */
 function createStarIcon(starType) {
-    // Create temporary container
-    const tempDiv = document.createElement('div');
+    return getSiteAdapter().createStar(starType);
+}
+
+/**
+ * Finds the insertion point for new stars
+ * Stars should be grouped together, before count display and buttons
+ * @param {HTMLElement} lineElement - The line element
+ * @returns {HTMLElement|null} Element to insert before, or null to append
+ */
+function findStarInsertionPoint(lineElement) {
+    // Priority: insert before ghost stars, count display or button container
+    const ghostStar = lineElement.querySelector(`.${CSS_CLASSES.GHOST_STAR}`);
+    if (ghostStar) return ghostStar;
+    
+    const countDisplay = lineElement.querySelector(`.${CSS_CLASSES.STAR_COUNT}`);
+    if (countDisplay) return countDisplay;
+    
+    const buttonContainer = lineElement.querySelector(`.${CSS_CLASSES.STAR_CONTROLS}`);
+    if (buttonContainer) return buttonContainer;
+    
+    return null;
+}
+
+/**
+ * Inserts a star element in the correct position (after existing stars, before count/buttons)
+ * @param {HTMLElement} lineElement - Parent line element
+ * @param {HTMLElement} starElement - Star icon element to insert
+ * @param {HTMLElement|null} insertBefore - Optional element to insert before
+ */
+function insertStarElement(lineElement, starElement, insertBefore) {
+    const targetElement = insertBefore || findStarInsertionPoint(lineElement);
+    
+    if (targetElement) {
+        lineElement.insertBefore(starElement, targetElement);
+    } else {
+        lineElement.appendChild(starElement);
+    }
+}
+
+// ============================================
+// STATISTICS - Summary of All Lines
+// ============================================
+
+/**
+ * Calculates the median of a list of numbers
+ * @param {Array} values - Numbers (not modified)
+ * @returns {number} Median, or 0 for an empty list
+ */
+function calculateMedian(values) {
+    if (values.length === 0) {
+        return 0;
+    }
+    
+    const sorted = values.slice().sort(function(a, b) {
+        return a - b;
+    });
+    const middle = Math.floor(sorted.length / 2);
+    
+    return sorted.length % 2 === 1 ? sorted[middle] : roundStarValue((sorted[middle - 1] + sorted[middle]) / 2);
+}
+
+/**
+ * Summarizes all lines: count, total, average, median, min/max, lines per color
+ * and a histogram of values in STATS_BIN_SIZE steps (values are binned down)
+ * 
+ * @param {Array} starCounts - Array of {fullStars, halfStars, total} objects
+ * @param {Object} rules - Optional rating rules (defaults to the default preset)
+ * @returns {Object} {lineCount, total, average, median, min, max, colorCounts, histogram}
+ */
+function calculateStatistics(starCounts, rules) {
+    const activeRules = rules || RULE_PRESETS.default;
+    const values = starCounts.map(function(count) {
+        return count.total;
+    });
+    const total = calculateTotalFromCounts(starCounts);
+    
+    // One entry per rule color, in rule order
+    const colorCounts = {};
+    activeRules.conditions.forEach(function(condition) {
+        colorCounts[condition.color] = 0;
+    });
+    starCounts.forEach(function(count) {
+        const color = getColorForStarCount(count, activeRules);
+        colorCounts[color] = (colorCounts[color] || 0) + 1;
+    });
+    
+    // One bin per STATS_BIN_SIZE from the lowest to the highest possible value
+    const lowest = Math.min(activeRules.min, values.length > 0 ? Math.min.apply(null, values) : activeRules.min);
+    const highest = Math.max(activeRules.max, values.length > 0 ? Math.max.apply(null, values) : activeRules.max);
+    const firstBin = Math.floor(lowest / STATS_BIN_SIZE) * STATS_BIN_SIZE;
+    const histogram = [];
+    for (let bin = firstBin; bin <= highest; bin = roundStarValue(bin + STATS_BIN_SIZE)) {
+        histogram.push({ value: bin, count: 0 });
+    }
+    values.forEach(function(value) {
+        histogram[Math.floor(roundStarValue((value - firstBin) / STATS_BIN_SIZE))].count++;
+    });
+    
+    return {
+        lineCount: values.length,
+        total: total,
+        average: values.length > 0 ? roundStarValue(total / values.length) : 0,
+        median: calculateMedian(values),
+        min: values.length > 0 ? Math.min.apply(null, values) : 0,
+        max: values.length > 0 ? Math.max.apply(null, values) : 0,
+        colorCounts: colorCounts,
+        histogram: histogram
+    };
+}
+
+// ============================================
+// LINE REGISTRY - Mapping Lines to the Model
+// ============================================
+
+/**
+ * Registers a line with the rating model, seeding its value from the page icons
+ * @param {HTMLElement} lineElement - The line to register
+ * @returns {number} The line's model index
+ */
+function registerLine(lineElement) {
+    if (lineIndexByElement.has(lineElement)) {
+        return lineIndexByElement.get(lineElement);
+    }
+    
+    if (getSiteAdapter().prepareLine) {
+        getSiteAdapter().prepareLine(lineElement);
+    }
+    
+    const lineIndex = ratingModel.addLine(countStarsInLine(lineElement).total);
+    registeredLines.push(lineElement);
+    lineIndexByElement.set(lineElement, lineIndex);
+    originalLineAttributes.set(lineElement, RESTORED_LINE_ATTRIBUTES.map(function(name) {
+        return { name: name, value: lineElement.getAttribute(name) };
+    }));
+    return lineIndex;
+}
+
+/**
+ * Creates the rating model and registers every line on the page
+ * @param {Object} rules - Validated rating rules
+ */
+function registerAllLines(rules) {
+    ratingModel = new RatingModel(rules);
+    registeredLines.length = 0;
+    lineIndexByElement.clear();
+    lineProblems.clear();
+    cachedStorageKey = null;
+    
+    getPageLines().forEach(function(line) {
+        registerLine(line);
+    });
+}
+
+/**
+ * Looks up the model index of a line
+ * @param {HTMLElement} lineElement - The line element
+ * @returns {number} Model index, or -1 if the line is not registered
+ */
+function getLineIndex(lineElement) {
+    return lineIndexByElement.has(lineElement) ? lineIndexByElement.get(lineElement) : -1;
+}
+
+// ============================================
+// RENDERER - Drawing Lines from the Model
+// ============================================
+
+/**
+ * Finds where the next star icon should go: right after the last full star,
+ * otherwise before the half or partial star, otherwise before count display/buttons
+ * @param {HTMLElement} lineElement - The line element
+ * @param {Array} fullStars - The line's current full star icons, in order
+ * @returns {HTMLElement|null} Element to insert before, or null for the default point
+ */
+function findNextStarPosition(lineElement, fullStars) {
+    if (fullStars.length > 0) {
+        return fullStars[fullStars.length - 1].nextSibling;
+    }
+    
+    return getSiteAdapter().findStars(lineElement, 'half')[0] ||
+           lineElement.querySelector(`.${CSS_CLASSES.PARTIAL_STAR}`) ||
+           findStarInsertionPoint(lineElement);
+}
+
+/**
+ * Redraws the star icons of a line so they match a rating value
+ * Existing icons are reused: surplus ones are removed from the end and missing
+ * ones are added after the last full star, so a half or partial star always stays last
+ * 
+ * @param {HTMLElement} lineElement - The line to redraw
+ * @param {number} value - Rating value to show
+ */
+function renderLineStars(lineElement, value) {
+    writeUnwatched(function() {
+        drawLineStars(lineElement, value);
+    });
+}
+
+/**
+ * Changes a line's star icons to match a rating value (see renderLineStars)
+ * @param {HTMLElement} lineElement - The line to redraw
+ * @param {number} value - Rating value to show
+ */
+function drawLineStars(lineElement, value) {
+    const target = valueToStarCount(value);
+    const fullStars = getSiteAdapter().findStars(lineElement, 'full');
+    const halfStars = getSiteAdapter().findStars(lineElement, 'half');
+    const partialStars = Array.from(lineElement.querySelectorAll(`.${CSS_CLASSES.PARTIAL_STAR}`));
+    
+    // A partial star is kept only if it already shows the right fraction
+    const keepPartial = target.partialStars === 1 && partialStars.length === 1 &&
+                        getPartialStarFraction(partialStars[0]) === target.fraction;
+    
+    // Read from the full stars before any are removed; only a new partial star needs it
+    // (reading computed styles between DOM writes is slow on large pages)
+    const starColor = target.partialStars === 1 && !keepPartial ? getStarColor(lineElement) : null;
+    
+    // Remove surplus icons (last ones first, to keep the visual order)
+    fullStars.splice(target.fullStars).forEach(function(star) {
+        star.remove();
+    });
+    halfStars.splice(target.halfStars).forEach(function(star) {
+        star.remove();
+    });
+    
+    if (!keepPartial) {
+        partialStars.forEach(function(star) {
+            star.remove();
+        });
+    }
+    
+    // Add missing full stars after the existing ones (before any half-star)
+    while (fullStars.length < target.fullStars) {
+        const fullStarIcon = createStarIcon('full');
+        insertStarElement(lineElement, fullStarIcon, findNextStarPosition(lineElement, fullStars));
+        fullStars.push(fullStarIcon);
+    }
+    
+    // Add the half or partial star last
+    if (halfStars.length < target.halfStars) {
+        const halfStarIcon = createStarIcon('half');
+        insertStarElement(lineElement, halfStarIcon, findNextStarPosition(lineElement, fullStars));
+    }
+    if (target.partialStars === 1 && !keepPartial) {
+        const partialStarIcon = createPartialStarIcon(target.fraction, starColor);
+        insertStarElement(lineElement, partialStarIcon, findNextStarPosition(lineElement, fullStars));
+    }
+}
+
+/**
+ * Redraws a line (icons and count display) from its model value
+ * @param {HTMLElement} lineElement - The line to redraw
+ */
+function renderLine(lineElement) {
+    const lineIndex = getLineIndex(lineElement);
+    if (lineIndex === -1) {
+        return;
+    }
+    
+    renderLineStars(lineElement, ratingModel.getValue(lineIndex));
+    updateLineDisplay(lineElement, ratingModel.getStarCount(lineIndex));
+}
+
+// ============================================
+// DISPLAY UPDATES - Line and Total Display
+// ============================================
+
+/**
+ * Updates the star count display for a single line
+ * @param {HTMLElement} lineElement - The line to update
+ * @param {Object} starCount - Optional pre-calculated star count (for efficiency)
+ */
+function updateLineDisplay(lineElement, starCount) {
+    const count = starCount || ratingModel.getStarCount(getLineIndex(lineElement));
+    
+    let countDisplay = lineElement.querySelector(`.${CSS_CLASSES.STAR_COUNT}`);
+    if (!countDisplay) {
+        countDisplay = createCountDisplayElement(lineElement);
+    }
+    
+    countDisplay.textContent = getMessage('starCount', { count: count.total });
+    countDisplay.style.color = getThemeColor(getColorForStarCount(count, ratingModel.rules));
+    countDisplay.title = getRuleName(getLabelForStarCount(count, ratingModel.rules));
+    updateColorBlindCue(lineElement, countDisplay, count);
+    
+    // Our own redraws keep the icons in order, so only a line that already has
+    // problems, or whose value is outside the limits, needs checking again
+    if (lineProblems.has(lineElement) || !ratingModel.isValueAllowed(count.total)) {
+        checkLineProblems(lineElement);
+    }
+    
+    // Keep the slider value in sync for screen readers
+    lineElement.setAttribute('aria-valuenow', count.total);
+    lineElement.setAttribute('aria-valuetext', getMessage('starValueText', {
+        count: count.total,
+        label: getRuleName(getLabelForStarCount(count, ratingModel.rules))
+    }));
+}
+
+/**
+ * Updates all line displays and returns their star counts
+ * @returns {Array} Array of star count objects
+ */
+function updateAllLinesDisplay() {
+    const starCounts = ratingModel.getStarCounts();
+    
+    registeredLines.forEach(function(line, lineIndex) {
+        updateLineDisplay(line, starCounts[lineIndex]);
+    });
+    
+    return starCounts;
+}
+
+/**
+ * Calculates total stars from an array of star count objects
+ * @param {Array} starCounts - Array of {fullStars, halfStars, total} objects
+ * @returns {number} Total star count
+ */
+function calculateTotalFromCounts(starCounts) {
+    return roundStarValue(starCounts.reduce(function(sum, count) {
+        return sum + count.total;
+    }, 0));
+}
+
+/**
+ * Calculates total stars from the rating model (fallback method)
+ * @returns {number} Total star count
+ */
+function calculateTotalStars() {
+    return ratingModel.getTotal();
+}
+
+/**
+ * Updates the total stars display at the bottom
+ * @param {number} total - Optional pre-calculated total (for efficiency)
+ */
+function updateTotalDisplay(total) {
+    const calculatedTotal = total !== undefined ? total : calculateTotalStars();
+    getTotalDisplayPart(CSS_CLASSES.TOTAL_VALUE).textContent = getMessage('total', { count: calculatedTotal });
+    updateConstraintStatus();
+    updateStatsPanel();
+    
+    // Read out total changes (but not the initial display)
+    if (lastAnnouncedTotal !== null && lastAnnouncedTotal !== calculatedTotal) {
+        announce(getMessage('totalAnnouncement', { count: calculatedTotal }));
+    }
+    lastAnnouncedTotal = calculatedTotal;
+}
+
+/**
+ * Expands or collapses the statistics panel
+ * @param {boolean} expanded - True to show the panel
+ */
+function setStatsPanelExpanded(expanded) {
+    statsPanelExpanded = expanded;
+    
+    const statsToggle = getTotalDisplayPart(CSS_CLASSES.STATS_TOGGLE);
+    statsToggle.textContent = getMessage(expanded ? 'hideStats' : 'showStats');
+    statsToggle.setAttribute('aria-expanded', String(expanded));
+    getTotalDisplayPart(CSS_CLASSES.STATS_PANEL).hidden = !expanded;
+    
+    if (expanded) {
+        updateStatsPanel();
+    }
+}
+
+/**
+ * Builds one labelled statistic, e.g. "Average: 3.2"
+ * @param {string} label - Statistic name
+ * @param {number} value - Statistic value (formatted for the locale)
+ * @returns {HTMLElement} Statistic element
+ */
+function createStatItem(label, value) {
+    const item = document.createElement('span');
+    item.style.marginInlineEnd = '15px';
+    item.textContent = getMessage('statItem', { label: label, value: value });
+    return item;
+}
+
+/**
+ * Builds the histogram: one bar per bin, height relative to the fullest bin
+ * @param {Array} histogram - Array of {value, count} bins
+ * @returns {HTMLElement} Histogram element
+ */
+function createHistogram(histogram) {
+    const histogramElement = document.createElement('div');
+    Object.assign(histogramElement.style, HISTOGRAM_STYLES);
+    
+    const highestCount = Math.max.apply(null, histogram.map(function(bin) {
+        return bin.count;
+    }).concat(1));
+    
+    histogram.forEach(function(bin) {
+        const column = document.createElement('div');
+        column.style.flex = '1';
+        column.style.textAlign = 'center';
+        column.title = getMessage('histogramBin', { value: bin.value, count: bin.count });
+        
+        const bar = document.createElement('div');
+        bar.style.height = `${Math.round((bin.count / highestCount) * 40)}px`;
+        bar.style.backgroundColor = 'var(--star-counter-button-border)';
+        column.appendChild(bar);
+        
+        const label = document.createElement('div');
+        label.style.fontSize = '10px';
+        label.textContent = formatStarNumber(bin.value);
+        column.appendChild(label);
+        
+        histogramElement.appendChild(column);
+    });
+    
+    return histogramElement;
+}
+
+/**
+ * Redraws the statistics panel from the model (skipped while collapsed)
+ * Starts expanded only on pages with STATS_EXPANDED_MIN_LINES up to STATS_COLLAPSED_MIN_LINES lines
+ */
+function updateStatsPanel() {
+    if (statsPanelExpanded === null) {
+        setStatsPanelExpanded(ratingModel.size() >= STATS_EXPANDED_MIN_LINES &&
+                              ratingModel.size() < STATS_COLLAPSED_MIN_LINES);
+        return;
+    }
+    if (!statsPanelExpanded) {
+        return;
+    }
+    
+    const stats = calculateStatistics(ratingModel.getStarCounts(), ratingModel.rules);
+    const statsPanel = getTotalDisplayPart(CSS_CLASSES.STATS_PANEL);
+    statsPanel.textContent = '';
+    
+    const summary = document.createElement('div');
+    summary.appendChild(createStatItem(getMessage('statLines'), stats.lineCount));
+    summary.appendChild(createStatItem(getMessage('statAverage'), stats.average));
+    summary.appendChild(createStatItem(getMessage('statMedian'), stats.median));
+    summary.appendChild(createStatItem(getMessage('statMin'), stats.min));
+    summary.appendChild(createStatItem(getMessage('statMax'), stats.max));
+    statsPanel.appendChild(summary);
+    
+    const colors = document.createElement('div');
+    Object.keys(stats.colorCounts).forEach(function(color) {
+        const item = createStatItem(getRuleName(color), stats.colorCounts[color]);
+        item.style.color = getThemeColor(color);
+        colors.appendChild(item);
+    });
+    statsPanel.appendChild(colors);
+    
+    statsPanel.appendChild(createHistogram(stats.histogram));
+}
+
+/**
+ * Updates all displays: lines and total (main update function)
+ */
+function updateAllDisplays() {
+    const starCounts = updateAllLinesDisplay();
+    const total = calculateTotalFromCounts(starCounts);
+    updateTotalDisplay(total);
+    updateFixAllButton();
+    applyLineView();
+}
+
+/**
+ * Refreshes everything that depends on all lines, after one or more lines changed:
+ * the total (and statistics), the page-level buttons, the audit log (and its save),
+ * the changes sent to other tabs, the snapshot compare view and the sort/filter view
+ * Batched per frame: any number of changes before the next paint cause one refresh
+ */
+function refreshAfterChange() {
+    if (refreshFrame !== null) {
+        return; // Already due
+    }
+    
+    refreshFrame = window.requestAnimationFrame(function() {
+        refreshFrame = null;
+        updateTotalDisplay(ratingModel.getTotal());
+        updateHistoryButtons();
+        updateFixAllButton();
+        flushAuditLog();
+        flushSyncChanges();
+        updateAuditLogPanel();
+        updateSnapshotPanel();
+        applyLineView();
+    });
+}
+
+// ============================================
+// STAR CHANGES - Model Update and Redraw
+// ============================================
+
+/**
+ * Sets a line to an exact value, records it in the history and redraws the line
+ * Callers update the total and persist once they are done with all their lines
+ * 
+ * @param {number} lineIndex - Model index of the line
+ * @param {number} value - New rating value
+ * @param {string} kind - Change kind recorded in the history
+ * @param {string} source - Optional origin of the change, from CHANGE_SOURCES (defaults to the kind)
+ * @returns {string|null} Why the value was rejected (limits, budget or a color quota), or null if it was applied
+ */
+function trySetLineValue(lineIndex, value, kind, source) {
+    const valueBefore = ratingModel.getValue(lineIndex);
+    if (!ratingModel.isValueAllowed(value)) {
+        const limits = ratingModel.limits;
+        emitLimitReached(lineIndex, value, kind);
+        return getMessage('outOfLimits', { count: value, min: limits.MIN, max: limits.MAX });
+    }
+    const violation = findConstraintViolation(lineIndex, value);
+    if (violation) {
+        showConstraintMessage(lineIndex, violation);
+        emitLimitReached(lineIndex, value, kind, violation);
+        return violation.message; // Value would break the star budget or a color quota
+    }
+    ratingModel.setValue(lineIndex, value);
+    showConstraintMessage(lineIndex, null);
+    
+    recordHistoryEntry({
+        lineIndex: lineIndex,
+        before: valueBefore,
+        after: ratingModel.getValue(lineIndex),
+        kind: kind
+    });
+    
+    renderLine(registeredLines[lineIndex]);
+    emitChange(lineIndex, valueBefore, kind, source);
+    return null;
+}
+
+/**
+ * Sets a line to an exact value (see trySetLineValue)
+ * @param {number} lineIndex - Model index of the line
+ * @param {number} value - New rating value
+ * @param {string} kind - Change kind recorded in the history
+ * @param {string} source - Optional origin of the change, from CHANGE_SOURCES (defaults to the kind)
+ * @returns {boolean} True if the value was applied
+ */
+function setLineValue(lineIndex, value, kind, source) {
+    return trySetLineValue(lineIndex, value, kind, source) === null;
+}
+
+/**
+ * Main handler for star changes (add/remove full or half stars)
+ * The model validates limits and applies the change; the line is then redrawn.
+ * Adding a half to a half-star line merges into a full star, and removing a half
+ * from a whole line turns its last full star into a half-star.
+ * 
+ * @param {HTMLElement} lineElement - The line to modify
+ * @param {number} changeAmount - Amount to change: 1, -1, 0.5, -0.5, or another configured step
+ * @param {string} source - Origin of the change, from CHANGE_SOURCES
+ * @returns {boolean} True if the change was applied
+ */
+function handleStarChange(lineElement, changeAmount, source) {
+    const lineIndex = getLineIndex(lineElement);
+    if (lineIndex === -1) {
+        return false; // Unknown line
+    }
+    
+    const valueBefore = ratingModel.getValue(lineIndex);
+    const newValue = roundStarValue(valueBefore + changeAmount);
+    if (!ratingModel.canChange(lineIndex, changeAmount)) {
+        emitLimitReached(lineIndex, newValue, getChangeKind(valueBefore, changeAmount));
+        return false; // Change would violate min/max limits
+    }
+    
+    // Apply and redraw the line, then update the total and persist
+    if (!setLineValue(lineIndex, newValue, getChangeKind(valueBefore, changeAmount), source)) {
+        return false;
+    }
+    refreshAfterChange();
+    saveRatings();
+    return true;
+}
+
+/**
+ * Handler for setting a line to an exact value (e.g. Home/End keys)
+ * @param {HTMLElement} lineElement - The line to modify
+ * @param {number} value - New rating value
+ * @param {string} kind - Change kind recorded in the history
+ * @param {string} source - Origin of the change, from CHANGE_SOURCES
+ * @returns {boolean} True if the value was applied
+ */
+function handleStarSet(lineElement, value, kind, source) {
+    const lineIndex = getLineIndex(lineElement);
+    if (lineIndex === -1 || ratingModel.getValue(lineIndex) === value) {
+        return false; // Unknown line, or nothing to change
+    }
+    
+    if (!setLineValue(lineIndex, value, kind, source)) {
+        return false; // Value would violate min/max limits
+    }
+    
+    refreshAfterChange();
+    saveRatings();
+    return true;
+}
+
+// ============================================
+// HISTORY - Undo/Redo
+// ============================================
+
+/**
+ * Describes a change for the history, telling the half-star merge and the
+ * full-to-half conversion apart from plain additions and removals
+ * @param {number} valueBefore - Line value before the change
+ * @param {number} changeAmount - Amount changed: 1, -1, 0.5, or -0.5
+ * @returns {string} Change kind
+ */
+function getChangeKind(valueBefore, changeAmount) {
+    const hadHalfStar = valueToStarCount(valueBefore).halfStars > 0;
+    
+    if (changeAmount === 1) return 'add-full';
+    if (changeAmount === -1) return 'remove-full';
+    if (changeAmount === 0.5) return hadHalfStar ? 'merge-half' : 'add-half';
+    if (changeAmount === -0.5) return hadHalfStar ? 'remove-half' : 'convert-full-to-half';
+    return 'adjust';
+}
+
+/**
+ * Records a change on the undo stack; a new change clears the redo stack
+ * The Undo/Redo buttons follow in the page-wide refresh (see refreshAfterChange)
+ * @param {Object} entry - {lineIndex, before, after, kind}
+ */
+function recordHistoryEntry(entry) {
+    undoStack.push(entry);
+    if (undoStack.length > HISTORY_LIMIT) {
+        undoStack.shift();
+    }
+    redoStack.length = 0;
+}
+
+/**
+ * Sets a line back to a recorded value and refreshes its display and the total
+ * The recorded value may be outside the current limits, but not break a constraint
+ * @param {number} lineIndex - Model index of the line
+ * @param {number} value - Recorded value to apply
+ * @param {string} kind - 'undo' or 'redo'
+ * @returns {boolean} True if applied; false if a constraint blocked it
+ */
+function applyHistoryValue(lineIndex, value, kind) {
+    const valueBefore = ratingModel.getValue(lineIndex);
+    const violation = findConstraintViolation(lineIndex, value);
+    if (violation) {
+        showConstraintMessage(lineIndex, violation);
+        emitLimitReached(lineIndex, value, kind, violation);
+        return false;
+    }
+    
+    showConstraintMessage(lineIndex, null);
+    ratingModel.restoreValue(lineIndex, value);
+    renderLine(registeredLines[lineIndex]);
+    emitChange(lineIndex, valueBefore, kind);
+    refreshAfterChange();
+    saveRatings();
+    return true;
+}
+
+/**
+ * Empties both history stacks
+ */
+function clearHistory() {
+    undoStack.length = 0;
+    redoStack.length = 0;
+    updateHistoryButtons();
+}
+
+/**
+ * Reverts the most recent change
+ */
+function undoLastChange() {
+    const entry = undoStack.pop();
+    if (!entry) {
+        return;
+    }
+    
+    if (!applyHistoryValue(entry.lineIndex, entry.before, 'undo')) {
+        undoStack.push(entry); // Blocked: keep it for later
+        return;
+    }
+    redoStack.push(entry);
+    updateHistoryButtons();
+}
+
+/**
+ * Re-applies the most recently undone change
+ */
+function redoLastChange() {
+    const entry = redoStack.pop();
+    if (!entry) {
+        return;
+    }
+    
+    if (!applyHistoryValue(entry.lineIndex, entry.after, 'redo')) {
+        redoStack.push(entry); // Blocked: keep it for later
+        return;
+    }
+    undoStack.push(entry);
+    updateHistoryButtons();
+}
+
+// ============================================
+// VALIDATION - Malformed Lines and Repair
+// ============================================
+
+/**
+ * Finds what is wrong with a line's icons and value:
+ * - More than one half (or partial) star: they count as one value but show as several icons
+ * - A half or partial star before a full star: new full stars would end up after it
+ * - A value outside the limits: the buttons can't bring it back, since every step is blocked
+ * 
+ * @param {HTMLElement} lineElement - A registered line
+ * @returns {Array} {type, message} per problem (empty for a well-formed line)
+ */
+function findLineProblems(lineElement) {
+    const problems = [];
+    const fullStars = getSiteAdapter().findStars(lineElement, 'full');
+    const fractionStars = getSiteAdapter().findStars(lineElement, 'half').concat(
+        Array.from(lineElement.querySelectorAll(`.${CSS_CLASSES.PARTIAL_STAR}`))
+    );
+    const value = ratingModel.getValue(getLineIndex(lineElement));
+    const limits = ratingModel.limits;
+    
+    if (fractionStars.length > 1) {
+        problems.push({
+            type: LINE_PROBLEMS.MULTIPLE_HALVES,
+            message: getMessage('multipleHalves', { count: fractionStars.length })
+        });
+    }
+    
+    const lastFullStar = fullStars[fullStars.length - 1];
+    const isMisordered = lastFullStar && fractionStars.some(function(star) {
+        return star.compareDocumentPosition(lastFullStar) & Node.DOCUMENT_POSITION_FOLLOWING;
+    });
+    if (isMisordered) {
+        problems.push({
+            type: LINE_PROBLEMS.HALF_BEFORE_FULL,
+            message: getMessage('halfBeforeFull')
+        });
+    }
+    
+    if (!ratingModel.isValueAllowed(value)) {
+        problems.push({
+            type: LINE_PROBLEMS.OUT_OF_LIMITS,
+            message: getMessage('outOfLimits', { count: value, min: limits.MIN, max: limits.MAX })
+        });
+    }
+    
+    return problems;
+}
+
+/**
+ * Checks a line for problems, records them in lineProblems and updates its "Fix" button
+ * Run for every line at init and for lines the page changed; our own redraws
+ * only re-check lines that may have problems (see updateLineDisplay)
+ * @param {HTMLElement} lineElement - A registered line
+ */
+function checkLineProblems(lineElement) {
+    const problems = findLineProblems(lineElement);
+    if (problems.length > 0) {
+        lineProblems.set(lineElement, problems);
+    } else {
+        lineProblems.delete(lineElement);
+    }
+    updateProblemMarker(lineElement);
+}
+
+/**
+ * Shows a "Fix" button on a line with problems (listed in its tooltip), or removes it
+ * @param {HTMLElement} lineElement - A registered line
+ */
+function updateProblemMarker(lineElement) {
+    const problems = lineProblems.get(lineElement) || [];
+    let fixButton = lineElement.querySelector(`.${CSS_CLASSES.FIX_BUTTON}`);
+    
+    if (problems.length === 0) {
+        if (fixButton) {
+            fixButton.remove();
+        }
+        return;
+    }
+    
+    if (!fixButton) {
+        fixButton = createButton('', CSS_CLASSES.FIX_BUTTON); // See handleMainClick
+        fixButton.tabIndex = -1; // Keyboard users use the page-level "Fix" button
+        const countDisplay = lineElement.querySelector(`.${CSS_CLASSES.STAR_COUNT}`);
+        lineElement.insertBefore(fixButton, countDisplay ? countDisplay.nextSibling : null);
+    }
+    
+    // Written only when changed: the page watcher sees writes inside a line (see handlePageMutations)
+    const text = getMessage('fix');
+    const title = getMessage('malformedLine', {
+        problems: problems.map(function(problem) {
+            return problem.message;
+        }).join('; ')
+    });
+    if (fixButton.textContent !== text) {
+        fixButton.textContent = text;
+    }
+    if (fixButton.title !== title) {
+        fixButton.title = title;
+    }
+}
+
+/**
+ * Gets the lines that currently have problems
+ * @returns {Array} Registered lines with at least one problem
+ */
+function getMalformedLines() {
+    return registeredLines.filter(function(line) {
+        return lineProblems.has(line);
+    });
+}
+
+/**
+ * Logs the problems of the given lines, one console line per malformed line
+ * @param {Array} lines - Lines to check
+ */
+function reportLineProblems(lines) {
+    lines.forEach(function(line) {
+        const problems = lineProblems.get(line) || [];
+        if (problems.length > 0) {
+            console.warn(`⚠ ${getLineName(getLineIndex(line))}: ${problems.map(function(problem) {
+                return problem.message;
+            }).join('; ')}`);
+        }
+    });
+}
+
+/**
+ * Redraws a line from scratch in the right order (full stars, then one half or
+ * partial star) with its value clamped into the limits
+ * @param {HTMLElement} lineElement - A registered line
+ */
+function normalizeLine(lineElement) {
+    const lineIndex = getLineIndex(lineElement);
+    const limits = ratingModel.limits;
+    const value = ratingModel.getValue(lineIndex);
+    const clampedValue = Math.min(limits.MAX, Math.max(limits.MIN, value));
+    const adapter = getSiteAdapter();
+    
+    // Drop every icon, so renderLineStars draws them all fresh and in order
+    writeUnwatched(function() {
+        adapter.findStars(lineElement, 'full')
+            .concat(adapter.findStars(lineElement, 'half'))
+            .concat(Array.from(lineElement.querySelectorAll(`.${CSS_CLASSES.PARTIAL_STAR}`)))
+            .forEach(function(star) {
+                star.remove();
+            });
+    });
+    
+    if (clampedValue === value || !setLineValue(lineIndex, clampedValue, 'normalize')) {
+        renderLine(lineElement);
+    }
+}
+
+/**
+ * Repairs the given lines, then updates the total and saves once
+ * @param {Array} lines - Lines to repair
+ */
+function normalizeLines(lines) {
+    lines.forEach(function(line) {
+        normalizeLine(line);
+    });
+    
+    refreshAfterChange();
+    saveRatings();
+    announce(getMessage('repaired', { count: lines.length }));
+}
+
+/**
+ * Shows the page-level "Fix" button only while some line has problems
+ */
+function updateFixAllButton() {
+    const fixAllButton = document.querySelector(`.${CSS_CLASSES.FIX_ALL_BUTTON}`);
+    if (!fixAllButton) {
+        return;
+    }
+    
+    const malformedCount = lineProblems.size;
+    fixAllButton.textContent = getMessage('fixAll', { count: malformedCount });
+    fixAllButton.hidden = malformedCount === 0;
+}
+
+/**
+ * Adds the page-level button that repairs every malformed line
+ */
+function addFixAllButton() {
+    addPageButton(null, CSS_CLASSES.FIX_ALL_BUTTON, function() {
+        normalizeLines(getMalformedLines());
+    });
+    updateFixAllButton();
+}
+
+// ============================================
+// PERSISTENCE - localStorage Save/Restore
+// ============================================
+
+/**
+ * Gets a line's own label text, ignoring the injected count display and buttons
+ * @param {HTMLElement} lineElement - The line element
+ * @returns {string} Trimmed label text (empty if the line has none)
+ */
+function getLineLabel(lineElement) {
+    return Array.from(lineElement.childNodes)
+        .filter(function(node) {
+            return node.nodeType === TEXT_NODE_TYPE;
+        })
+        .map(function(node) {
+            return node.textContent;
+        })
+        .join(' ')
+        .replace(/\s+/g, ' ')
+        .trim();
+}
+
+/**
+ * Gets a readable name for a line: its label, or "Line N" when it has none
+ * @param {number} lineIndex - Model index of the line
+ * @returns {string} Line name
+ */
+function getLineName(lineIndex) {
+    return getLineLabel(registeredLines[lineIndex]) || getMessage('lineName', { number: lineIndex + 1 });
+}
+
+/**
+ * Builds the localStorage key for this page
+ * Page path plus the initial line count, so a different page or layout never picks up these ratings
+ * @returns {string} Storage key
+ */
+function getStorageKey() {
+    if (!cachedStorageKey) {
+        cachedStorageKey = `${STORAGE_KEY_PREFIX}${window.location.pathname}|${registeredLines.length}`;
+    }
+    return cachedStorageKey;
+}
+
+/**
+ * Builds a stable identifier for a line: its index, plus its label when it has one
+ * @param {number} lineIndex - Model index of the line
+ * @returns {string} Line identifier
+ */
+function getLineStorageId(lineIndex) {
+    const label = getLineLabel(registeredLines[lineIndex]);
+    return label ? `${lineIndex}:${label}` : `${lineIndex}`;
+}
+
+/**
+ * Reads saved ratings for this page
+ * @returns {Object} Map of line identifier to saved value (empty if nothing is saved)
+ */
+function loadSavedRatings() {
+    try {
+        const saved = JSON.parse(window.localStorage.getItem(getStorageKey()));
+        return (saved && saved.lines) || {};
+    } catch (error) {
+        console.warn('Could not read saved star ratings:', error);
+        return {};
+    }
+}
+
+/**
+ * Saves every line whose value differs from the page's original icons
+ * Nothing is stored once all lines are back to their original values
+ */
+function saveRatings() {
+    const lines = {};
+    registeredLines.forEach(function(line, lineIndex) {
+        if (ratingModel.getValue(lineIndex) !== ratingModel.getOriginalValue(lineIndex)) {
+            lines[getLineStorageId(lineIndex)] = ratingModel.getValue(lineIndex);
+        }
+    });
+    
+    try {
+        if (Object.keys(lines).length === 0) {
+            window.localStorage.removeItem(getStorageKey());
+        } else {
+            window.localStorage.setItem(getStorageKey(), JSON.stringify({ lines: lines }));
+        }
+    } catch (error) {
+        console.warn('Could not save star ratings:', error);
+    }
+}
+
+/**
+ * Re-applies saved ratings to the model and the star icons
+ * Saved values outside the active limits are ignored
+ * @returns {Array} Numbers (1-based) of the lines that were restored
+ */
+function restoreSavedRatings() {
+    const savedRatings = loadSavedRatings();
+    const restoredLines = [];
+    
+    registeredLines.forEach(function(line, lineIndex) {
+        const savedValue = savedRatings[getLineStorageId(lineIndex)];
+        
+        if (typeof savedValue !== 'number' || !ratingModel.setValue(lineIndex, savedValue)) {
+            return; // Nothing saved for this line, or the saved value is invalid
+        }
+        
+        renderLineStars(line, savedValue);
+        restoredLines.push(lineIndex + 1);
+    });
+    
+    return restoredLines;
+}
+
+/**
+ * Returns every line to the page's original star icons and forgets saved ratings
+ * History is cleared, since it describes edits that no longer apply
+ */
+function resetToOriginal() {
+    const valuesBefore = registeredLines.map(function(line, lineIndex) {
+        return ratingModel.getValue(lineIndex);
+    });
+    
+    ratingModel.resetToOriginal();
+    registeredLines.forEach(function(line, lineIndex) {
+        renderLine(line);
+        if (ratingModel.getValue(lineIndex) !== valuesBefore[lineIndex]) {
+            emitChange(lineIndex, valuesBefore[lineIndex], 'reset');
+        }
+    });
+    refreshAfterChange();
+    clearHistory();
+    saveRatings();
+}
+
+// ============================================
+// EXPORT / IMPORT - JSON and CSV Files
+// ============================================
+
+/**
+ * Builds one export row per line with the countStarsInLine fields and the line color
+ * @returns {Array} Array of {index, label, fullStars, halfStars, total, color} objects
+ */
+function getExportRows() {
+    return registeredLines.map(function(line, lineIndex) {
+        const starCount = ratingModel.getStarCount(lineIndex);
+        
+        return {
+            index: lineIndex,
+            label: getLineLabel(line),
+            fullStars: starCount.fullStars,
+            halfStars: starCount.halfStars,
+            total: starCount.total,
+            color: getColorForStarCount(starCount, ratingModel.rules)
+        };
+    });
+}
+
+/**
+ * Quotes a CSV value when it contains a separator, quote or line break
+ * @param {*} value - Cell value
+ * @returns {string} CSV-safe cell text
+ */
+function toCsvCell(value) {
+    const text = String(value);
+    return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+/**
+ * Converts export rows to CSV text with a header line
+ * @param {Array} rows - Export rows
+ * @param {Array} fields - Optional column names, in order (defaults to EXPORT_FIELDS)
+ * @returns {string} CSV text
+ */
+function rowsToCsv(rows, fields) {
+    const columns = fields || EXPORT_FIELDS;
+    const lines = [columns.join(',')];
+    
+    rows.forEach(function(row) {
+        lines.push(columns.map(function(field) {
+            return toCsvCell(row[field]);
+        }).join(','));
+    });
+    
+    return lines.join('\r\n');
+}
+
+/**
+ * Parses CSV text (quoted cells supported) into row objects keyed by the header line
+ * @param {string} text - CSV text
+ * @returns {Array} Array of row objects with string values
+ */
+function parseCsv(text) {
+    const records = [];
+    let record = [];
+    let cell = '';
+    let inQuotes = false;
+    
+    for (let i = 0; i < text.length; i++) {
+        const char = text[i];
+        
+        if (inQuotes) {
+            if (char === '"' && text[i + 1] === '"') {
+                cell += '"';
+                i++;
+            } else if (char === '"') {
+                inQuotes = false;
+            } else {
+                cell += char;
+            }
+        } else if (char === '"') {
+            inQuotes = true;
+        } else if (char === ',') {
+            record.push(cell);
+            cell = '';
+        } else if (char === '\n' || char === '\r') {
+            if (char === '\r' && text[i + 1] === '\n') {
+                i++;
+            }
+            record.push(cell);
+            records.push(record);
+            record = [];
+            cell = '';
+        } else {
+            cell += char;
+        }
+    }
+    
+    if (cell !== '' || record.length > 0) {
+        record.push(cell);
+        records.push(record);
+    }
+    
+    const header = (records.shift() || []).map(function(name) {
+        return name.trim();
+    });
+    
+    return records
+        .filter(function(values) {
+            return values.join('').trim() !== ''; // Skip blank lines
+        })
+        .map(function(values) {
+            const row = {};
+            header.forEach(function(name, column) {
+                row[name] = values[column];
+            });
+            return row;
+        });
+}
+
+/**
+ * Checks an imported row against the page and the active limits and step
+ * @param {Object} row - Imported row (values may be strings when read from CSV)
+ * @returns {string|null} Reason for rejecting the row, or null if it is valid
+ */
+function validateImportRow(row) {
+    const index = Number(row.index);
+    const total = Number(row.total);
+    
+    if (!Number.isInteger(index) || index < 0 || index >= registeredLines.length) {
+        return `no line with index "${row.index}"`;
+    }
+    
+    if (row.label !== undefined && String(row.label) !== getLineLabel(registeredLines[index])) {
+        return `label "${row.label}" does not match the page`;
+    }
+    
+    if (!Number.isFinite(total) || !isValueOnStep(total, ratingModel.rules)) {
+        return `total "${row.total}" is not in steps of ${ratingModel.rules.step}`;
+    }
+    
+    if (!ratingModel.isValueAllowed(total)) {
+        return `total ${total} is outside ${ratingModel.limits.MIN}-${ratingModel.limits.MAX}`;
+    }
+    
+    const starCount = valueToStarCount(total);
+    const hasStarFields = row.fullStars !== undefined && row.halfStars !== undefined;
+    if (hasStarFields &&
+        (Number(row.fullStars) !== starCount.fullStars || Number(row.halfStars) !== starCount.halfStars)) {
+        return `fullStars/halfStars do not add up to total ${total}`;
+    }
+    
+    return null;
+}
+
+/**
+ * Triggers a browser download of a text file
+ * @param {string} fileName - Name of the downloaded file
+ * @param {string} content - File content
+ * @param {string} mimeType - MIME type of the content
+ */
+function downloadFile(fileName, content, mimeType) {
+    const url = URL.createObjectURL(new Blob([content], { type: mimeType }));
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = fileName;
+    document.body.appendChild(link);
+    link.click();
+    link.remove();
+    
+    // Revoke after the click has been handled, or the download may be cancelled
+    setTimeout(function() {
+        URL.revokeObjectURL(url);
+    }, 0);
+}
+
+/**
+ * Downloads the current ratings as both a JSON and a CSV file
+ */
+function exportRatings() {
+    const rows = getExportRows();
+    const json = {
+        page: window.location.pathname,
+        exportedAt: new Date().toISOString(),
+        total: ratingModel.getTotal(),
+        lines: rows
+    };
+    
+    downloadFile(`${EXPORT_FILE_NAME}.json`, JSON.stringify(json, null, 2), 'application/json');
+    downloadFile(`${EXPORT_FILE_NAME}.csv`, rowsToCsv(rows), 'text/csv');
+}
+
+/**
+ * Reads rows from exported file content (JSON object, JSON array or CSV)
+ * @param {string} text - File content
+ * @returns {Array} Row objects
+ */
+function parseImportFile(text) {
+    const trimmed = text.trim();
+    
+    if (trimmed.startsWith('{') || trimmed.startsWith('[')) {
+        const data = JSON.parse(trimmed);
+        return Array.isArray(data) ? data : (data.lines || []);
+    }
+    
+    return parseCsv(trimmed);
+}
+
+/**
+ * Applies imported rows to the page through the normal change path
+ * Invalid rows, rows the limits or constraints block, and further rows for a line
+ * an earlier row already covered are skipped and listed in the console; a summary
+ * is shown below the total
+ * @param {Array} rows - Row objects read from an exported file
+ * @returns {Object} {applied, rejected} where rejected holds {row, reason} entries
+ */
+function applyImportedRows(rows) {
+    const result = { applied: 0, rejected: [] };
+    const rowNumberByLine = new Map(); // First row for each line index
+    
+    rows.forEach(function(row, rowNumber) {
+        const reason = validateImportRow(row);
+        if (reason) {
+            result.rejected.push({ row: rowNumber + 1, reason: reason });
+            return;
+        }
+        
+        const lineIndex = Number(row.index);
+        const total = Number(row.total);
+        if (rowNumberByLine.has(lineIndex)) {
+            result.rejected.push({
+                row: rowNumber + 1,
+                reason: `line ${lineIndex} is already set by row ${rowNumberByLine.get(lineIndex)}`
+            });
+            return;
+        }
+        rowNumberByLine.set(lineIndex, rowNumber + 1);
+        
+        if (ratingModel.getValue(lineIndex) !== total) {
+            const rejection = trySetLineValue(lineIndex, total, 'import', CHANGE_SOURCES.IMPORT);
+            if (rejection) {
+                result.rejected.push({ row: rowNumber + 1, reason: rejection });
+                return;
+            }
+        }
+        result.applied++;
+    });
+    
+    refreshAfterChange();
+    saveRatings();
+    
+    let summary = getMessage('imported', { applied: result.applied, count: rows.length });
+    if (result.rejected.length > 0) {
+        summary += `; ${getMessage('importRejected', { count: result.rejected.length })}`;
+        console.warn('Rejected import rows:\n' + result.rejected.map(function(rejection) {
+            return `  row ${rejection.row}: ${rejection.reason}`;
+        }).join('\n'));
+    }
+    showPageMessage(summary, result.rejected.length > 0 ? 'error' : 'info');
+    
+    return result;
+}
+
+/**
+ * Opens a file picker and imports the chosen JSON or CSV file
+ */
+function importRatings() {
+    const fileInput = document.createElement('input');
+    fileInput.type = 'file';
+    fileInput.accept = '.json,.csv,application/json,text/csv';
+    
+    fileInput.addEventListener('change', function() {
+        const file = fileInput.files[0];
+        if (!file) {
+            return;
+        }
+        
+        file.text().then(function(text) {
+            applyImportedRows(parseImportFile(text));
+        }).catch(function(error) {
+            console.warn(`Could not import ${file.name}:`, error);
+            showPageMessage(getMessage('importFailed', { file: file.name, error: error.message }), 'error');
+        });
+    });
+    
+    fileInput.click();
+}
+
+// ============================================
+// AUDIT LOG - Timestamped Rating Changes
+// ============================================
+
+/**
+ * Builds the localStorage key of the audit log (next to this page's saved ratings)
+ * @returns {string} Storage key
+ */
+function getAuditLogStorageKey() {
+    return `${getStorageKey()}|audit`;
+}
+
+/**
+ * Reads the audit log saved for this page
+ * @returns {Array} Saved entries, oldest first (empty if nothing is saved)
+ */
+function readSavedAuditLog() {
+    try {
+        const saved = JSON.parse(window.localStorage.getItem(getAuditLogStorageKey()));
+        return Array.isArray(saved) ? saved : [];
+    } catch (error) {
+        console.warn('Could not read the star audit log:', error);
+        return [];
+    }
+}
+
+/**
+ * Reads the audit log saved for this page into auditLog
+ */
+function loadAuditLog() {
+    auditLog.length = 0;
+    Array.prototype.push.apply(auditLog, readSavedAuditLog().slice(-AUDIT_LOG_LIMIT));
+}
+
+/**
+ * Adds the entries other tabs on this page saved since this tab last looked,
+ * so tabs don't overwrite each other's history (entries are matched by id)
+ */
+function mergeSavedAuditLog() {
+    const knownIds = new Set(auditLog.map(function(entry) {
+        return entry.id;
+    }));
+    const newEntries = readSavedAuditLog().filter(function(entry) {
+        return entry.id && !knownIds.has(entry.id);
+    });
+    if (newEntries.length === 0) {
+        return;
+    }
+    
+    Array.prototype.push.apply(auditLog, newEntries);
+    auditLog.sort(function(entryA, entryB) {
+        return entryA.time < entryB.time ? -1 : (entryA.time > entryB.time ? 1 : 0);
+    });
+    auditLog.splice(0, Math.max(0, auditLog.length - AUDIT_LOG_LIMIT));
+}
+
+/**
+ * Saves the audit log for this page, leaving out the oldest entries when it is
+ * longer than AUDIT_LOG_SAVED_CHARS_LIMIT
+ */
+function saveAuditLog() {
+    hasUnsavedAuditEntries = false;
+    try {
+        if (auditLog.length === 0) {
+            window.localStorage.removeItem(getAuditLogStorageKey());
+            return;
+        }
+        
+        let savedEntries = auditLog;
+        let json = JSON.stringify(savedEntries);
+        while (json.length > AUDIT_LOG_SAVED_CHARS_LIMIT && savedEntries.length > 1) {
+            savedEntries = savedEntries.slice(Math.ceil(savedEntries.length / 4));
+            json = JSON.stringify(savedEntries);
+        }
+        window.localStorage.setItem(getAuditLogStorageKey(), json);
+    } catch (error) {
+        console.warn('Could not save the star audit log:', error);
+    }
+}
+
+/**
+ * Saves the audit log if entries were added since the last save, merged with
+ * what other tabs saved in the meantime
+ * Called from the page-wide refresh, so a bulk change is saved once
+ */
+function flushAuditLog() {
+    if (hasUnsavedAuditEntries) {
+        mergeSavedAuditLog();
+        saveAuditLog();
+    }
+}
+
+/**
+ * Saves unsaved entries when the page is left: frames don't run in hidden tabs,
+ * so a change made there may still be waiting for its refresh
+ */
+function attachAuditLogFlush() {
+    window.addEventListener('pagehide', flushAuditLog, { signal: pageListeners.signal });
+}
+
+/**
+ * Adds a change to the audit log; it is saved in the page-wide refresh
+ * (see refreshAfterChange), together with the panel update
+ * @param {Object} detail - Change event detail (see emitChange)
+ */
+function recordAuditEntry(detail) {
+    auditEntryCount++;
+    auditLog.push({
+        id: `${tabId}-${auditEntryCount}`,
+        time: new Date().toISOString(),
+        index: detail.index,
+        line: getLineName(detail.index),
+        before: detail.before,
+        after: detail.after,
+        colorBefore: detail.colorBefore,
+        colorAfter: detail.colorAfter,
+        source: detail.source,
+        kind: detail.kind
+    });
+    if (auditLog.length > AUDIT_LOG_LIMIT) {
+        auditLog.shift();
+    }
+    
+    hasUnsavedAuditEntries = true;
+}
+
+/**
+ * Gets the audit log entries for the line chosen in the panel's filter
+ * @returns {Array} Matching entries, oldest first
+ */
+function getFilteredAuditLog() {
+    if (auditLogFilter === '') {
+        return auditLog;
+    }
+    return auditLog.filter(function(entry) {
+        return String(entry.index) === auditLogFilter;
+    });
+}
+
+/**
+ * Formats an audit log entry as one line of text in the active locale
+ * @param {Object} entry - Audit log entry
+ * @returns {string} e.g. "10:42:07 Line 2: 3 → 3.5 (green → yellow) by button"
+ */
+function formatAuditEntry(entry) {
+    return getMessage('auditEntry', {
+        time: new Date(entry.time).toLocaleTimeString(activeLocale.tag),
+        line: entry.line,
+        before: entry.before,
+        after: entry.after,
+        colorBefore: getRuleName(entry.colorBefore),
+        colorAfter: getRuleName(entry.colorAfter),
+        source: CHANGE_SOURCE_MESSAGES.hasOwnProperty(entry.source) ?
+            getMessage(CHANGE_SOURCE_MESSAGES[entry.source]) : entry.source
+    });
+}
+
+/**
+ * Refills the panel's line filter and entry list (newest entries first)
+ * Skipped while the panel is closed; opening it refills it
+ */
+function updateAuditLogPanel() {
+    const panel = document.querySelector(`.${CSS_CLASSES.AUDIT_LOG_PANEL}`);
+    if (!panel || panel.hidden) {
+        return;
+    }
+    
+    // Lines can be added later (and the language changed), so the filter options follow both
+    const select = panel.querySelector('select');
+    if (select.options.length !== registeredLines.length + 1 || select.dataset.locale !== activeLocale.tag) {
+        fillSelectOptions(select, [{ value: '', text: getMessage('allLines') }].concat(registeredLines.map(function(line, lineIndex) {
+            return { value: String(lineIndex), text: getLineName(lineIndex) };
+        })), auditLogFilter);
+        select.dataset.locale = activeLocale.tag;
+    }
+    
+    const entries = getFilteredAuditLog();
+    const list = panel.querySelector('ol');
+    list.textContent = '';
+    entries.slice().reverse().forEach(function(entry) {
+        const item = document.createElement('li');
+        item.textContent = formatAuditEntry(entry);
+        list.appendChild(item);
+    });
+    
+    panel.querySelector('.audit-log-empty').hidden = entries.length > 0;
+}
+
+/**
+ * Downloads the audit log entries shown in the panel as a JSON file
+ */
+function exportAuditLog() {
+    const json = {
+        page: window.location.pathname,
+        exportedAt: new Date().toISOString(),
+        line: auditLogFilter === '' ? null : Number(auditLogFilter),
+        entries: getFilteredAuditLog()
+    };
+    
+    downloadFile(`${AUDIT_LOG_FILE_NAME}.json`, JSON.stringify(json, null, 2), 'application/json');
+}
+
+/**
+ * Empties the audit log (saved entries included)
+ */
+function clearAuditLog() {
+    auditLog.length = 0;
+    saveAuditLog();
+    updateAuditLogPanel();
+}
+
+/**
+ * Shows or hides the audit log panel
+ * @param {boolean} open - True to show the panel
+ */
+function setAuditLogPanelOpen(open) {
+    const panel = document.querySelector(`.${CSS_CLASSES.AUDIT_LOG_PANEL}`);
+    const toggle = document.querySelector(`.${CSS_CLASSES.AUDIT_LOG_BUTTON}`);
+    
+    panel.hidden = !open;
+    toggle.setAttribute('aria-expanded', String(open));
+    if (open) {
+        updateAuditLogPanel();
+    }
+}
+
+/**
+ * Adds the "Audit log" page button and the (initially hidden) panel it opens below the page controls
+ */
+function addAuditLogPanel() {
+    if (document.querySelector(`.${CSS_CLASSES.AUDIT_LOG_PANEL}`)) {
+        return;
+    }
+    
+    const panel = document.createElement('div');
+    panel.className = CSS_CLASSES.AUDIT_LOG_PANEL;
+    panel.dir = getTextDirection();
+    panel.hidden = true;
+    
+    panel.appendChild(createToolbarSelect('auditLine', [], function(value) {
+        auditLogFilter = value;
+        updateAuditLogPanel();
+    }));
+    
+    const exportButton = createMessageButton('exportJson');
+    exportButton.addEventListener('click', exportAuditLog);
+    panel.appendChild(exportButton);
+    
+    const clearButton = createMessageButton('clearLog');
+    clearButton.addEventListener('click', clearAuditLog);
+    panel.appendChild(clearButton);
+    
+    const emptyNote = document.createElement('p');
+    emptyNote.className = 'audit-log-empty';
+    setMessageText(emptyNote, 'auditLogEmpty');
+    panel.appendChild(emptyNote);
+    
+    const list = document.createElement('ol');
+    list.reversed = true; // Newest first, numbered in logging order
+    panel.appendChild(list);
+    
+    const pageControls = getPageControls();
+    pageControls.parentNode.insertBefore(panel, pageControls.nextSibling);
+    
+    addPageButton('auditLog', CSS_CLASSES.AUDIT_LOG_BUTTON, function() {
+        setAuditLogPanelOpen(panel.hidden);
+    });
+    setAuditLogPanelOpen(false);
+}
+
+// ============================================
+// SNAPSHOTS - Named Ratings and Compare View
+// ============================================
+
+/**
+ * Builds the localStorage key of the snapshots (next to this page's saved ratings)
+ * @returns {string} Storage key
+ */
+function getSnapshotStorageKey() {
+    return `${getStorageKey()}|snapshots`;
+}
+
+/**
+ * Reads the snapshots saved for this page into snapshots
+ */
+function loadSnapshots() {
+    snapshots.length = 0;
+    try {
+        const saved = JSON.parse(window.localStorage.getItem(getSnapshotStorageKey()));
+        if (Array.isArray(saved)) {
+            Array.prototype.push.apply(snapshots, saved.slice(-SNAPSHOT_LIMIT));
+        }
+    } catch (error) {
+        console.warn('Could not read star snapshots:', error);
+    }
+}
+
+/**
+ * Saves the snapshots for this page
+ */
+function saveSnapshots() {
+    try {
+        if (snapshots.length === 0) {
+            window.localStorage.removeItem(getSnapshotStorageKey());
+        } else {
+            window.localStorage.setItem(getSnapshotStorageKey(), JSON.stringify(snapshots));
+        }
+    } catch (error) {
+        console.warn('Could not save star snapshots:', error);
+    }
+}
+
+/**
+ * Finds a snapshot by name
+ * @param {string} name - Snapshot name
+ * @returns {Object|null} The snapshot, or null if there is none with that name
+ */
+function findSnapshot(name) {
+    return snapshots.find(function(snapshot) {
+        return snapshot.name === name;
+    }) || null;
+}
+
+/**
+ * Stores the current star counts of every line under a name
+ * A snapshot with the same name is replaced
+ * 
+ * @param {string} name - Optional name (defaults to "Snapshot N")
+ * @returns {Object} The snapshot: {name, takenAt, total, lines} with lines as in getExportRows
+ */
+function takeSnapshot(name) {
+    const snapshotName = String(name || '').trim() || getMessage('defaultSnapshotName', { number: snapshots.length + 1 });
+    const snapshot = {
+        name: snapshotName,
+        takenAt: new Date().toISOString(),
+        total: ratingModel.getTotal(),
+        lines: getExportRows()
+    };
+    
+    const existing = findSnapshot(snapshotName);
+    if (existing) {
+        snapshots.splice(snapshots.indexOf(existing), 1);
+    }
+    snapshots.push(snapshot);
+    if (snapshots.length > SNAPSHOT_LIMIT) {
+        snapshots.shift();
+    }
+    
+    saveSnapshots();
+    snapshotCompare.from = snapshotName;
+    updateSnapshotPanel();
+    console.log(`📷 Snapshot "${snapshotName}" taken (${snapshot.total} stars)`);
+    return snapshot;
+}
+
+/**
+ * Deletes a snapshot
+ * @param {string} name - Snapshot name
+ */
+function deleteSnapshot(name) {
+    const snapshot = findSnapshot(name);
+    if (!snapshot) {
+        return;
+    }
+    
+    snapshots.splice(snapshots.indexOf(snapshot), 1);
+    saveSnapshots();
+    updateSnapshotPanel();
+}
+
+/**
+ * Gets the lines of a snapshot, or of the live page
+ * @param {string} name - Snapshot name, or LIVE_PAGE
+ * @returns {Array} Rows as in getExportRows
+ * @throws {Error} If there is no snapshot with that name
+ */
+function getSnapshotLines(name) {
+    if (name === LIVE_PAGE) {
+        return getExportRows();
+    }
+    
+    const snapshot = findSnapshot(name);
+    if (!snapshot) {
+        throw new Error(`StarCounter: no snapshot named "${name}"`);
+    }
+    return snapshot.lines;
+}
+
+/**
+ * Compares two sets of lines, matched by index
+ * A line missing on one side (e.g. added to the page later) counts as 0 stars there
+ * 
+ * @param {Array} fromLines - Earlier rows (as in getExportRows)
+ * @param {Array} toLines - Later rows
+ * @returns {Object} {lines, totalBefore, totalAfter, totalDelta}, where lines holds
+ *   {index, label, before, after, delta, colorBefore, colorAfter} for every changed line
+ */
+function diffSnapshotLines(fromLines, toLines) {
+    const lineCount = Math.max(fromLines.length, toLines.length);
+    const lines = [];
+    
+    for (let index = 0; index < lineCount; index++) {
+        const from = fromLines[index];
+        const to = toLines[index];
+        const before = from ? from.total : 0;
+        const after = to ? to.total : 0;
+        const colorBefore = from ? from.color : null;
+        const colorAfter = to ? to.color : null;
+        
+        if (before !== after || colorBefore !== colorAfter) {
+            lines.push({
+                index: index,
+                label: (to || from).label,
+                before: before,
+                after: after,
+                delta: roundStarValue(after - before),
+                colorBefore: colorBefore,
+                colorAfter: colorAfter
+            });
+        }
+    }
+    
+    const totalBefore = calculateTotalFromCounts(fromLines);
+    const totalAfter = calculateTotalFromCounts(toLines);
+    return {
+        lines: lines,
+        totalBefore: totalBefore,
+        totalAfter: totalAfter,
+        totalDelta: roundStarValue(totalAfter - totalBefore)
+    };
+}
+
+/**
+ * Formats a star delta with its sign in the active locale, e.g. "+1.5", "-0.5" or "0"
+ * @param {number} delta - Difference in stars
+ * @returns {string} Signed delta
+ */
+function formatDelta(delta) {
+    return delta > 0 ? `+${formatStarNumber(delta)}` : formatStarNumber(delta);
+}
+
+/**
+ * Builds the compare table: one row per changed line, colored by direction
+ * (up or down) and bold where the color changed
+ * @param {Object} diff - Result of diffSnapshotLines
+ * @returns {HTMLElement} Table element
+ */
+function createDiffTable(diff) {
+    const table = document.createElement('table');
+    const header = table.createTHead().insertRow();
+    ['diffLine', 'diffBefore', 'diffAfter', 'diffChange', 'diffColor'].forEach(function(messageKey) {
+        const cell = document.createElement('th');
+        cell.textContent = getMessage(messageKey);
+        header.appendChild(cell);
+    });
+    
+    const body = table.createTBody();
+    diff.lines.forEach(function(line) {
+        const row = body.insertRow();
+        if (line.delta !== 0) {
+            row.classList.add(line.delta > 0 ? CSS_CLASSES.DIFF_UP : CSS_CLASSES.DIFF_DOWN);
+        }
+        if (line.colorBefore !== line.colorAfter) {
+            row.classList.add(CSS_CLASSES.DIFF_COLOR);
+        }
+        
+        [
+            line.label || getMessage('lineName', { number: line.index + 1 }),
+            formatStarNumber(line.before),
+            formatStarNumber(line.after),
+            formatDelta(line.delta),
+            line.colorBefore === line.colorAfter ? getRuleName(line.colorAfter) : getMessage('colorChange', {
+                before: line.colorBefore ? getRuleName(line.colorBefore) : '-',
+                after: line.colorAfter ? getRuleName(line.colorAfter) : '-'
+            })
+        ].forEach(function(value) {
+            row.insertCell().textContent = value;
+        });
+    });
+    
+    return table;
+}
+
+/**
+ * Applies a snapshot's values to the page through the normal change path
+ * Lines are checked like imported rows (label, limits and constraints); lines that fail are skipped
+ * 
+ * @param {string} name - Snapshot name
+ * @returns {Object} {applied, rejected} where rejected holds {line, reason} entries
+ * @throws {Error} If there is no snapshot with that name
+ */
+function revertToSnapshot(name) {
+    const result = { applied: 0, rejected: [] };
+    
+    getSnapshotLines(name).forEach(function(row) {
+        const reason = validateImportRow(row);
+        const lineIndex = row.index;
+        if (reason) {
+            result.rejected.push({ line: lineIndex + 1, reason: reason });
+            return;
+        }
+        if (ratingModel.getValue(lineIndex) === row.total) {
+            return;
+        }
+        
+        const rejection = trySetLineValue(lineIndex, row.total, 'snapshot-revert', CHANGE_SOURCES.SNAPSHOT);
+        if (rejection) {
+            result.rejected.push({ line: lineIndex + 1, reason: rejection });
+            return;
+        }
+        result.applied++;
+    });
+    
+    if (result.applied > 0) {
+        refreshAfterChange();
+        saveRatings();
+    }
+    
+    let status = getMessage('reverted', { count: result.applied, name: name });
+    if (result.rejected.length > 0) {
+        status += `; ${getMessage('revertBlocked', { count: result.rejected.length })}`;
+    }
+    announce(status);
+    if (result.rejected.length > 0) {
+        console.warn(`Lines not reverted to "${name}":\n` + result.rejected.map(function(rejection) {
+            return `  line ${rejection.line}: ${rejection.reason}`;
+        }).join('\n'));
+    }
+    return result;
+}
+
+/**
+ * Refills the snapshot selects and the compare view (skipped while the panel is closed)
+ */
+function updateSnapshotPanel() {
+    const panel = document.querySelector(`.${CSS_CLASSES.SNAPSHOT_PANEL}`);
+    if (!panel || panel.hidden) {
+        return;
+    }
+    
+    if (!findSnapshot(snapshotCompare.from)) {
+        snapshotCompare.from = snapshots.length > 0 ? snapshots[snapshots.length - 1].name : null;
+    }
+    if (snapshotCompare.to !== LIVE_PAGE && !findSnapshot(snapshotCompare.to)) {
+        snapshotCompare.to = LIVE_PAGE;
+    }
+    
+    const snapshotOptions = snapshots.map(function(snapshot) {
+        return { value: snapshot.name, text: snapshot.name };
+    });
+    fillSelectOptions(panel.querySelector('.snapshot-from select'), snapshotOptions, snapshotCompare.from || '');
+    fillSelectOptions(panel.querySelector('.snapshot-to select'),
+        [{ value: LIVE_PAGE, text: getMessage('livePage') }].concat(snapshotOptions), snapshotCompare.to);
+    
+    const nameInput = panel.querySelector('input');
+    nameInput.placeholder = getMessage('snapshotName');
+    nameInput.setAttribute('aria-label', nameInput.placeholder);
+    
+    const compareView = panel.querySelector('.snapshot-compare');
+    compareView.textContent = '';
+    panel.querySelectorAll('.snapshot-action').forEach(function(button) {
+        button.disabled = snapshotCompare.from === null;
+    });
+    
+    if (snapshotCompare.from === null) {
+        compareView.textContent = getMessage('noSnapshots');
+        return;
+    }
+    
+    const diff = diffSnapshotLines(getSnapshotLines(snapshotCompare.from), getSnapshotLines(snapshotCompare.to));
+    const summary = document.createElement('p');
+    summary.textContent = getMessage('snapshotSummary', {
+        before: diff.totalBefore,
+        after: diff.totalAfter,
+        delta: formatDelta(diff.totalDelta),
+        count: diff.lines.length
+    });
+    compareView.appendChild(summary);
+    if (diff.lines.length > 0) {
+        compareView.appendChild(createDiffTable(diff));
+    }
+}
+
+/**
+ * Shows or hides the snapshot panel
+ * @param {boolean} open - True to show the panel
+ */
+function setSnapshotPanelOpen(open) {
+    const panel = document.querySelector(`.${CSS_CLASSES.SNAPSHOT_PANEL}`);
+    const toggle = document.querySelector(`.${CSS_CLASSES.SNAPSHOT_BUTTON}`);
+    
+    panel.hidden = !open;
+    toggle.setAttribute('aria-expanded', String(open));
+    if (open) {
+        updateSnapshotPanel();
+    }
+}
+
+/**
+ * Adds the "Snapshots" page button and the (initially hidden) panel it opens below the page controls:
+ * take a named snapshot, pick two snapshots (or one and the live page) to compare,
+ * and revert the page to a snapshot
+ */
+function addSnapshotPanel() {
+    if (document.querySelector(`.${CSS_CLASSES.SNAPSHOT_PANEL}`)) {
+        return;
+    }
+    
+    const panel = document.createElement('div');
+    panel.className = CSS_CLASSES.SNAPSHOT_PANEL;
+    panel.dir = getTextDirection();
+    panel.hidden = true;
+    
+    const nameInput = document.createElement('input'); // Placeholder set in updateSnapshotPanel
+    nameInput.type = 'text';
+    panel.appendChild(nameInput);
+    
+    const takeButton = createMessageButton('takeSnapshot');
+    takeButton.addEventListener('click', function() {
+        takeSnapshot(nameInput.value);
+        nameInput.value = '';
+    });
+    panel.appendChild(takeButton);
+    
+    const compareControls = document.createElement('div');
+    const fromSelect = createToolbarSelect('compareSnapshot', [], function(value) {
+        snapshotCompare.from = value;
+        updateSnapshotPanel();
+    });
+    fromSelect.classList.add('snapshot-from');
+    compareControls.appendChild(fromSelect);
+    
+    const toSelect = createToolbarSelect('compareWith', [], function(value) {
+        snapshotCompare.to = value;
+        updateSnapshotPanel();
+    });
+    toSelect.classList.add('snapshot-to');
+    compareControls.appendChild(toSelect);
+    
+    const revertButton = createMessageButton('revertSnapshot', 'snapshot-action');
+    revertButton.addEventListener('click', function() {
+        revertToSnapshot(snapshotCompare.from);
+    });
+    compareControls.appendChild(revertButton);
+    
+    const deleteButton = createMessageButton('deleteSnapshot', 'snapshot-action');
+    deleteButton.addEventListener('click', function() {
+        deleteSnapshot(snapshotCompare.from);
+    });
+    compareControls.appendChild(deleteButton);
+    panel.appendChild(compareControls);
+    
+    const compareView = document.createElement('div');
+    compareView.className = 'snapshot-compare';
+    panel.appendChild(compareView);
+    
+    const pageControls = getPageControls();
+    pageControls.parentNode.insertBefore(panel, pageControls.nextSibling);
+    
+    addPageButton('snapshots', CSS_CLASSES.SNAPSHOT_BUTTON, function() {
+        setSnapshotPanelOpen(panel.hidden);
+    });
+    setSnapshotPanelOpen(false);
+}
+
+// ============================================
+// INTERACTIVE CONTROLS - Buttons & Click Handlers
+// ============================================
+
+/**
+ * Creates a styled button element
+ * @param {string} text - Button label
+ * @param {string} buttonClass - CSS class name
+ * @returns {HTMLElement} The created button element
+ */
+function createButton(text, buttonClass) {
+    const button = document.createElement('button');
+    button.textContent = text;
+    button.className = buttonClass ? `${CSS_CLASSES.BUTTON} ${buttonClass}` : CSS_CLASSES.BUTTON;
+    return button;
+}
+
+/**
+ * Gets the step sizes offered as buttons, from the rules' buttonSteps
+ * (by default 1 and the rules' step when it is smaller, otherwise just the step)
+ * @returns {Array} Step sizes
+ */
+function getButtonSteps() {
+    return ratingModel.rules.buttonSteps;
+}
+
+/**
+ * Gets the label of a line button in the active locale, e.g. "Add 0.5 Stars"
+ * @param {number} change - Star change of the button (negative to remove)
+ * @returns {string} Button label
+ */
+function getChangeButtonLabel(change) {
+    return getMessage(change < 0 ? 'removeStars' : 'addStars', { count: Math.abs(change) });
+}
+
+/**
+ * Adds control buttons to a single line
+ * With the default rules, creates four buttons: Remove 1 Star, Add 1 Star,
+ * Remove 0.5 Stars, Add 0.5 Stars
+ * 
+ * @param {HTMLElement} lineElement - The line to add buttons to
+ */
+function addButtonsToLine(lineElement) {
+    // Skip if buttons already exist
+    if (lineElement.querySelector(`.${CSS_CLASSES.STAR_CONTROLS}`)) {
+        return;
+    }
+    
+    const buttonContainer = document.createElement('div');
+    buttonContainer.className = CSS_CLASSES.STAR_CONTROLS;
+    buttonContainer.dir = getTextDirection();
+    buttonContainer.style.display = 'inline-block';
+    
+    // Create a Remove/Add pair per step size
+    const changes = [];
+    getButtonSteps().forEach(function(step) {
+        changes.push(-step, step);
+    });
+    
+    // Clicks are handled by the delegated click handler, which reads data-change
+    changes.forEach(function(change) {
+        const button = createButton(getChangeButtonLabel(change));
+        button.tabIndex = -1; // Keyboard users change the line itself (it is a slider)
+        button.dataset.change = change;
+        buttonContainer.appendChild(button);
+    });
+    
+    lineElement.appendChild(buttonContainer);
+}
+
+/**
+ * Checks whether line buttons are created on first hover or focus (large pages)
+ * @returns {boolean} True if the page has at least LAZY_CONTROLS_MIN_LINES lines
+ */
+function usesLazyControls() {
+    return registeredLines.length >= LAZY_CONTROLS_MIN_LINES;
+}
+
+/**
+ * Adds control buttons to all lines on the page
+ * Skipped on large pages, where each line gets its buttons when first hovered or focused
+ */
+function addButtonsToAllLines() {
+    if (usesLazyControls()) {
+        return;
+    }
+    
+    getPageLines().forEach(function(line) {
+        addButtonsToLine(line);
+    });
+}
+
+/**
+ * Gets or creates the page-level button bar right below the total display
+ * @returns {HTMLElement} Page controls container
+ */
+function getPageControls() {
+    let pageControls = document.querySelector(`.${CSS_CLASSES.PAGE_CONTROLS}`);
+    if (!pageControls) {
+        pageControls = document.createElement('div');
+        pageControls.className = CSS_CLASSES.PAGE_CONTROLS;
+        pageControls.dir = getTextDirection();
+        pageControls.style.textAlign = 'center';
+        
+        const totalDisplay = getTotalDisplay();
+        totalDisplay.parentNode.insertBefore(pageControls, totalDisplay.nextSibling);
+    }
+    return pageControls;
+}
+
+/**
+ * Adds a button with a click action to the page controls
+ * Skipped if a button with the same class already exists
+ * @param {string|null} messageKey - Key of the label in MESSAGES (relabelled when the
+ *   locale changes), or null for a button that writes its own label
+ * @param {string} buttonClass - CSS class name (also used to detect duplicates)
+ * @param {Function} onClick - Click action
+ */
+function addPageButton(messageKey, buttonClass, onClick) {
+    const pageControls = getPageControls();
+    if (pageControls.querySelector(`.${buttonClass}`)) {
+        return;
+    }
+    
+    const button = messageKey ? createMessageButton(messageKey, buttonClass) : createButton('', buttonClass);
+    button.addEventListener('click', onClick);
+    pageControls.appendChild(button);
+}
+
+/**
+ * Enables or disables the Undo/Redo buttons based on the history stacks
+ */
+function updateHistoryButtons() {
+    const buttonStates = [
+        { buttonClass: CSS_CLASSES.UNDO_BUTTON, stack: undoStack },
+        { buttonClass: CSS_CLASSES.REDO_BUTTON, stack: redoStack }
+    ];
+    
+    buttonStates.forEach(function(state) {
+        const button = document.querySelector(`.${state.buttonClass}`);
+        if (button) {
+            button.disabled = state.stack.length === 0;
+            button.style.opacity = state.stack.length === 0 ? '0.5' : '1';
+        }
+    });
+}
+
+/**
+ * Adds the Undo/Redo buttons to the page controls
+ */
+function addHistoryControls() {
+    addPageButton('undo', CSS_CLASSES.UNDO_BUTTON, undoLastChange);
+    addPageButton('redo', CSS_CLASSES.REDO_BUTTON, redoLastChange);
+    updateHistoryButtons();
+}
+
+/**
+ * Binds Ctrl+Z (undo) and Ctrl+Shift+Z (redo), Cmd on macOS
+ * Typing in text fields keeps the browser's own undo
+ */
+function attachHistoryKeyHandler() {
+    if (historyKeyHandlerAttached) {
+        return;
+    }
+    
+    historyKeyHandlerAttached = true;
+    document.addEventListener('keydown', function(e) {
+        const target = e.target;
+        const isTextField = target.isContentEditable ||
+                           target.tagName === 'INPUT' ||
+                           target.tagName === 'TEXTAREA';
+        
+        if (!(e.ctrlKey || e.metaKey) || e.key.toLowerCase() !== 'z' || isTextField) {
+            return;
+        }
+        
+        e.preventDefault();
+        if (e.shiftKey) {
+            redoLastChange();
+        } else {
+            undoLastChange();
+        }
+    }, { signal: pageListeners.signal });
+}
+
+/**
+ * Toggles bold style for a line's count display
+ * First click makes it bold, second click returns to normal
+ * 
+ * @param {HTMLElement} lineElement - The line to toggle
+ */
+function toggleBold(lineElement) {
+    const countDisplay = lineElement.querySelector(`.${CSS_CLASSES.STAR_COUNT}`);
+    if (!countDisplay) {
+        return;
+    }
+    
+    const currentWeight = window.getComputedStyle(countDisplay).fontWeight;
+    const isBold = currentWeight === 'bold' || 
+                  currentWeight === '700' || 
+                  (parseInt(currentWeight) >= 700);
+    
+    countDisplay.style.fontWeight = isBold ? 'normal' : 'bold';
+}
+
+// ============================================
+// ACCESSIBILITY - Keyboard and Screen Readers
+// ============================================
+
+/**
+ * Gets or creates the visually hidden aria-live region used for announcements
+ * @returns {HTMLElement} Live region element
+ */
+function getLiveRegion() {
+    let liveRegion = document.getElementById(ELEMENT_IDS.LIVE_REGION);
+    if (!liveRegion) {
+        liveRegion = document.createElement('div');
+        liveRegion.id = ELEMENT_IDS.LIVE_REGION;
+        liveRegion.setAttribute('role', 'status');
+        liveRegion.setAttribute('aria-live', 'polite');
+        document.body.appendChild(liveRegion);
+    }
+    return liveRegion;
+}
+
+/**
+ * Reads a message out to screen readers
+ * @param {string} message - Text to announce
+ */
+function announce(message) {
+    const liveRegion = getLiveRegion();
+    // Clear first so repeating the same message is still announced
+    liveRegion.textContent = '';
+    setTimeout(function() {
+        liveRegion.textContent = message;
+    }, 50);
+}
+
+/**
+ * Sets a line's slider limits from the active rules
+ * @param {HTMLElement} lineElement - The line element
+ */
+function updateLineAriaLimits(lineElement) {
+    lineElement.setAttribute('aria-valuemin', ratingModel.limits.MIN);
+    lineElement.setAttribute('aria-valuemax', ratingModel.limits.MAX);
+}
+
+/**
+ * Makes a line an ARIA slider: role, limits and an accessible name (and a pointer cursor for clicks)
+ * @param {HTMLElement} lineElement - The line element
+ * @param {number} lineIndex - Model index of the line
+ */
+function setupLineAccessibility(lineElement, lineIndex) {
+    lineElement.style.cursor = 'pointer';
+    lineElement.setAttribute('role', 'slider');
+    updateLineAriaLimits(lineElement);
+    lineElement.setAttribute('aria-label', getMessage('lineRating', { line: getLineName(lineIndex) }));
+    lineElement.tabIndex = -1;
+}
+
+/**
+ * Moves the roving tabindex to a line and optionally focuses it
+ * Only one line is in the tab order at a time
+ * @param {HTMLElement} lineElement - The line to make active
+ * @param {boolean} moveFocus - True to also focus the line
+ */
+function setActiveLine(lineElement, moveFocus) {
+    registeredLines.forEach(function(line) {
+        const tabIndex = line === lineElement ? 0 : -1;
+        if (line.tabIndex !== tabIndex) {
+            line.tabIndex = tabIndex;
+        }
+    });
+    
+    if (moveFocus) {
+        lineElement.focus();
+    }
+}
+
+/**
+ * Handles keys on a focused line:
+ * - Arrow keys: -/+ one step, 0.5 star by default (Left/Down lower, Right/Up raise)
+ * - PageDown/PageUp: -/+ 1 star (or one step, if the step is larger)
+ * - Home/End: minimum/maximum stars
+ * - Space: toggle bold
+ * - Ctrl+ArrowUp/ArrowDown: move to the previous/next line
+ * 
+ * @param {HTMLElement} lineElement - The focused line
+ * @param {KeyboardEvent} e - The keydown event
+ */
+function handleLineKeydown(lineElement, e) {
+    if (e.target !== lineElement || e.altKey || e.metaKey) {
+        return;
+    }
+    
+    if (e.ctrlKey) {
+        const visibleLines = getVisibleLinesInOrder();
+        const offset = e.key === 'ArrowDown' ? 1 : (e.key === 'ArrowUp' ? -1 : 0);
+        const nextLine = visibleLines[visibleLines.indexOf(lineElement) + offset];
+        
+        if (offset !== 0 && nextLine) {
+            e.preventDefault();
+            setActiveLine(nextLine, true);
+        }
+        return;
+    }
+    
+    const limits = ratingModel.limits;
+    const smallStep = ratingModel.rules.step;
+    const largeStep = Math.max(KEYBOARD_LARGE_STEP, smallStep);
+    const keyChanges = {
+        ArrowLeft: -smallStep,
+        ArrowDown: -smallStep,
+        ArrowRight: smallStep,
+        ArrowUp: smallStep,
+        PageDown: -largeStep,
+        PageUp: largeStep
+    };
+    
+    if (keyChanges[e.key] !== undefined) {
+        e.preventDefault();
+        const isApplied = handleStarChange(lineElement, keyChanges[e.key], CHANGE_SOURCES.KEYBOARD);
+        if (!isApplied && !ratingModel.canChange(getLineIndex(lineElement), keyChanges[e.key])) {
+            announce(getMessage('limitReached', { min: limits.MIN, max: limits.MAX })); // Constraints announce their own reason
+        }
+    } else if (e.key === 'Home') {
+        e.preventDefault();
+        handleStarSet(lineElement, limits.MIN, 'set-min', CHANGE_SOURCES.KEYBOARD);
+    } else if (e.key === 'End') {
+        e.preventDefault();
+        handleStarSet(lineElement, limits.MAX, 'set-max', CHANGE_SOURCES.KEYBOARD);
+    } else if (e.key === ' ') {
+        e.preventDefault(); // Keep the page from scrolling
+        toggleBold(lineElement);
+    }
+}
+
+/**
+ * Sets up ARIA attributes on all lines (keys are handled by the delegated handlers)
+ * The first line starts in the tab order
+ */
+function setupAllLineAccessibility() {
+    registeredLines.forEach(function(line, lineIndex) {
+        setupLineAccessibility(line, lineIndex);
+    });
+    
+    const hasActiveLine = registeredLines.some(function(line) {
+        return line.tabIndex === 0;
+    });
+    if (!hasActiveLine && registeredLines.length > 0) {
+        registeredLines[0].tabIndex = 0;
+    }
+}
+
+// ============================================
+// LINE VIEW - Sort, Filter and Group
+// ============================================
+
+/**
+ * Checks whether the view shows the lines in their original order, unfiltered
+ * @returns {boolean} True for the default view
+ */
+function isDefaultLineView() {
+    return lineView.sortBy === 'original' && !lineView.groupByColor &&
+           lineView.filterColor === '' && lineView.filterMin === null;
+}
+
+/**
+ * Marks each line's original position with an empty comment node, so the
+ * original order can always be restored
+ */
+function ensureLineAnchors() {
+    registeredLines.forEach(function(line) {
+        if (!lineAnchors.has(line)) {
+            const anchor = document.createComment('star-line');
+            line.parentNode.insertBefore(anchor, line);
+            lineAnchors.set(line, anchor);
+        }
+    });
+}
+
+/**
+ * Gets the position of a color in the rules, for sorting and grouping by color
+ * @param {string} color - Color name
+ * @returns {number} Position of the first condition with that color
+ */
+function getColorRank(color) {
+    const rank = ratingModel.rules.conditions.findIndex(function(condition) {
+        return condition.color === color;
+    });
+    return rank === -1 ? ratingModel.rules.conditions.length : rank;
+}
+
+/**
+ * Returns the lines in the order the view asks for (ties keep the original order)
+ * @returns {Array} Sorted copy of the registered lines
+ */
+function getSortedLines() {
+    const sortBy = lineView.groupByColor && lineView.sortBy === 'original' ? 'color' : lineView.sortBy;
+    
+    return registeredLines.slice().sort(function(lineA, lineB) {
+        const indexA = getLineIndex(lineA);
+        const indexB = getLineIndex(lineB);
+        let difference = 0;
+        
+        if (lineView.groupByColor || sortBy === 'color') {
+            difference = getColorRank(ratingModel.getColor(indexA)) - getColorRank(ratingModel.getColor(indexB));
+        }
+        if (difference === 0 && sortBy === 'total-desc') {
+            difference = ratingModel.getValue(indexB) - ratingModel.getValue(indexA);
+        }
+        if (difference === 0 && sortBy === 'total-asc') {
+            difference = ratingModel.getValue(indexA) - ratingModel.getValue(indexB);
+        }
+        return difference || indexA - indexB;
+    });
+}
+
+/**
+ * Checks whether a line passes the view's color and minimum-stars filters
+ * @param {HTMLElement} lineElement - A registered line
+ * @returns {boolean} True if the line should be shown
+ */
+function isLineInFilter(lineElement) {
+    const lineIndex = getLineIndex(lineElement);
+    
+    if (lineView.filterColor !== '' && ratingModel.getColor(lineIndex) !== lineView.filterColor) {
+        return false;
+    }
+    return lineView.filterMin === null || ratingModel.getValue(lineIndex) >= lineView.filterMin;
+}
+
+/**
+ * Creates a color group header, e.g. "red (3)"
+ * @param {string} color - Group color
+ * @param {number} lineCount - Visible lines in the group
+ * @returns {HTMLElement} Header element
+ */
+function createGroupHeader(color, lineCount) {
+    const header = document.createElement('div');
+    header.className = CSS_CLASSES.GROUP_HEADER;
+    header.dataset.color = color;
+    header.textContent = getMessage('groupHeader', { color: getRuleName(color), count: lineCount });
+    header.style.color = getThemeColor(color);
+    return header;
+}
+
+/**
+ * Applies the sort, filter and group settings to the page
+ * Moving lines is not an outside change, so the page watcher doesn't see it
+ */
+function applyLineView() {
+    writeUnwatched(arrangeLines);
+}
+
+/**
+ * Places the lines for the sort, filter and group settings (see applyLineView)
+ * Sorted lines are placed together where the first line originally was;
+ * the original order puts every line back at its anchor. Only lines (and group
+ * headers) that are out of place are moved, so an unchanged order costs no DOM
+ * moves, and focus returns to the element that had it if a move took it away
+ */
+function arrangeLines() {
+    const headersByColor = new Map();
+    document.querySelectorAll(`.${CSS_CLASSES.GROUP_HEADER}`).forEach(function(header) {
+        if (lineView.groupByColor) {
+            headersByColor.set(header.dataset.color, header); // Reused if the group is still shown
+        } else {
+            header.remove();
+        }
+    });
+    
+    registeredLines.forEach(function(line) {
+        const display = isLineInFilter(line) ? '' : 'none';
+        if (line.style.display !== display) {
+            line.style.display = display;
+        }
+    });
+    
+    if (isDefaultLineView() && lineAnchors.size === 0) {
+        return; // Never rearranged: nothing to restore
+    }
+    ensureLineAnchors();
+    
+    const focusedElement = document.activeElement;
+    let hasMoved = false;
+    const placeAfter = function(node, previousNode) {
+        if (previousNode.nextSibling !== node) {
+            previousNode.parentNode.insertBefore(node, previousNode.nextSibling);
+            hasMoved = true;
+        }
+        return node;
+    };
+    
+    if (lineView.sortBy === 'original' && !lineView.groupByColor) {
+        registeredLines.forEach(function(line) {
+            placeAfter(line, lineAnchors.get(line));
+        });
+    } else {
+        const sortedLines = getSortedLines();
+        let cursor = lineAnchors.get(registeredLines[0]);
+        let currentGroup = null;
+        
+        sortedLines.forEach(function(line) {
+            const color = ratingModel.getColor(getLineIndex(line));
+            
+            if (lineView.groupByColor && color !== currentGroup && isLineInFilter(line)) {
+                const groupSize = sortedLines.filter(function(otherLine) {
+                    return isLineInFilter(otherLine) && ratingModel.getColor(getLineIndex(otherLine)) === color;
+                }).length;
+                const header = createGroupHeader(color, groupSize);
+                const existingHeader = headersByColor.get(color);
+                
+                if (existingHeader) {
+                    headersByColor.delete(color);
+                    if (existingHeader.textContent !== header.textContent) {
+                        existingHeader.textContent = header.textContent;
+                    }
+                    cursor = placeAfter(existingHeader, cursor);
+                } else {
+                    cursor = placeAfter(header, cursor);
+                }
+                currentGroup = color;
+            }
+            
+            cursor = placeAfter(line, cursor);
+        });
+    }
+    
+    headersByColor.forEach(function(header) {
+        header.remove(); // Groups that are no longer shown
+    });
+    
+    if (hasMoved && focusedElement && focusedElement !== document.activeElement && document.contains(focusedElement)) {
+        focusedElement.focus({ preventScroll: true });
+    }
+}
+
+/**
+ * Gets the shown lines in the order they appear on the page
+ * @returns {Array} Visible registered lines, top to bottom
+ */
+function getVisibleLinesInOrder() {
+    return registeredLines
+        .filter(function(line) {
+            return line.style.display !== 'none';
+        })
+        .sort(function(lineA, lineB) {
+            return lineA.compareDocumentPosition(lineB) & Node.DOCUMENT_POSITION_FOLLOWING ? -1 : 1;
+        });
+}
+
+/**
+ * Creates a labelled select for the toolbar
+ * @param {string} labelKey - MESSAGES key of the label shown before the select
+ * @param {Array} options - Array of {value, text} or {value, message} (see fillSelectOptions)
+ * @param {Function} onChange - Called with the selected value
+ * @returns {HTMLElement} Label element wrapping the select
+ */
+function createToolbarSelect(labelKey, options, onChange) {
+    const label = createMessageLabel(labelKey);
+    label.style.marginInlineEnd = '15px';
+    
+    const select = document.createElement('select');
+    fillSelectOptions(select, options);
+    select.addEventListener('change', function() {
+        onChange(select.value);
+    });
+    
+    label.appendChild(select);
+    return label;
+}
+
+/**
+ * Replaces a select's options
+ * @param {HTMLElement} select - The select element
+ * @param {Array} options - Array of {value, text}, or {value, message} for a fixed
+ *   label from MESSAGES (relabeled when the language changes)
+ * @param {string} value - Optional value to select afterwards
+ */
+function fillSelectOptions(select, options, value) {
+    select.textContent = '';
+    options.forEach(function(optionConfig) {
+        const option = document.createElement('option');
+        option.value = optionConfig.value;
+        if (optionConfig.message) {
+            setMessageText(option, optionConfig.message);
+        } else {
+            option.textContent = optionConfig.text;
+        }
+        select.appendChild(option);
+    });
+    if (value !== undefined) {
+        select.value = value;
+    }
+}
+
+/**
+ * Gets the filter options for the active rules: every rule color, and each whole
+ * star value as a minimum
+ * @returns {Object} {colors, minimums} arrays of {value, text}
+ */
+function getFilterOptions() {
+    const colors = [{ value: '', message: 'allColors' }];
+    ratingModel.rules.conditions.forEach(function(condition) {
+        const alreadyListed = colors.some(function(option) {
+            return option.value === condition.color;
+        });
+        if (!alreadyListed) {
+            colors.push({ value: condition.color, text: getMessage('onlyColor', { color: getRuleName(condition.color) }) });
+        }
+    });
+    
+    const minimums = [{ value: '', message: 'anyValue' }];
+    for (let value = Math.ceil(ratingModel.limits.MIN); value <= ratingModel.limits.MAX; value++) {
+        minimums.push({ value: String(value), text: getMessage('atLeastStars', { count: value }) });
+    }
+    
+    return { colors: colors, minimums: minimums };
+}
+
+/**
+ * Refills the toolbar's filter selects after the rules changed
+ * A filter that no longer exists in the new rules is reset
+ */
+function updateToolbarFilters() {
+    const toolbar = document.querySelector(`.${CSS_CLASSES.TOOLBAR}`);
+    if (!toolbar) {
+        return;
+    }
+    
+    const filterOptions = getFilterOptions();
+    [
+        { select: toolbar.querySelector('.filter-color select'), options: filterOptions.colors, key: 'filterColor' },
+        { select: toolbar.querySelector('.filter-min select'), options: filterOptions.minimums, key: 'filterMin' }
+    ].forEach(function(filter) {
+        const currentValue = lineView[filter.key] === null ? '' : String(lineView[filter.key]);
+        const stillValid = filter.options.some(function(option) {
+            return option.value === currentValue;
+        });
+        
+        fillSelectOptions(filter.select, filter.options, stillValid ? currentValue : '');
+        if (!stillValid) {
+            lineView[filter.key] = filter.key === 'filterMin' ? null : '';
+        }
+    });
+}
+
+/**
+ * Adds the sort/filter/group toolbar above #main
+ */
+function addLineViewToolbar() {
+    if (document.querySelector(`.${CSS_CLASSES.TOOLBAR}`)) {
+        return;
+    }
+    
+    const toolbar = document.createElement('div');
+    toolbar.className = CSS_CLASSES.TOOLBAR;
+    toolbar.dir = getTextDirection();
+    
+    toolbar.appendChild(createToolbarSelect('sortBy', [
+        { value: 'original', message: 'sortOriginal' },
+        { value: 'total-desc', message: 'sortTotalDesc' },
+        { value: 'total-asc', message: 'sortTotalAsc' },
+        { value: 'color', message: 'sortColor' }
+    ], function(value) {
+        lineView.sortBy = value;
+        applyLineView();
+    }));
+    
+    const filterOptions = getFilterOptions();
+    const colorFilter = createToolbarSelect('filterColor', filterOptions.colors, function(value) {
+        lineView.filterColor = value;
+        applyLineView();
+    });
+    colorFilter.classList.add('filter-color');
+    toolbar.appendChild(colorFilter);
+    
+    const minFilter = createToolbarSelect('filterMinimum', filterOptions.minimums, function(value) {
+        lineView.filterMin = value === '' ? null : Number(value);
+        applyLineView();
+    });
+    minFilter.classList.add('filter-min');
+    toolbar.appendChild(minFilter);
+    
+    const groupLabel = document.createElement('label');
+    const groupCheckbox = document.createElement('input');
+    groupCheckbox.type = 'checkbox';
+    groupCheckbox.addEventListener('change', function() {
+        lineView.groupByColor = groupCheckbox.checked;
+        applyLineView();
+    });
+    groupLabel.appendChild(groupCheckbox);
+    groupLabel.appendChild(document.createTextNode(' '));
+    groupLabel.appendChild(createMessageText('groupByColor'));
+    toolbar.appendChild(groupLabel);
+    
+    const mainContainer = getMainContainer();
+    mainContainer.parentNode.insertBefore(toolbar, mainContainer);
+}
+
+// ============================================
+// SELECTION - Bulk Rating Changes
+// ============================================
+
+/**
+ * Marks a line as selected or not, with its highlight
+ * @param {HTMLElement} lineElement - The line element
+ * @param {boolean} selected - True to select
+ */
+function setLineSelected(lineElement, selected) {
+    if (selected) {
+        selectedLines.add(lineElement);
+    } else {
+        selectedLines.delete(lineElement);
+    }
+    
+    Object.keys(SELECTED_LINE_STYLES).forEach(function(property) {
+        lineElement.style[property] = selected ? SELECTED_LINE_STYLES[property] : '';
+    });
+}
+
+/**
+ * Selects exactly the given lines
+ * @param {Array} lines - Lines to select (all others are deselected)
+ */
+function selectLines(lines) {
+    Array.from(selectedLines).forEach(function(line) {
+        setLineSelected(line, false);
+    });
+    lines.forEach(function(line) {
+        setLineSelected(line, true);
+    });
+    updateBulkBar();
+}
+
+/**
+ * Handles a click on a line in selection mode:
+ * - Click: select only this line
+ * - Ctrl/Cmd-click: add or remove this line
+ * - Shift-click: select the range from the last clicked line (as shown on the page)
+ * 
+ * @param {HTMLElement} lineElement - The clicked line
+ * @param {MouseEvent} e - The click event
+ */
+function handleSelectionClick(lineElement, e) {
+    if (e.shiftKey && selectionAnchor && registeredLines.indexOf(selectionAnchor) !== -1) {
+        const visibleLines = getVisibleLinesInOrder();
+        const from = visibleLines.indexOf(selectionAnchor);
+        const to = visibleLines.indexOf(lineElement);
+        selectLines(visibleLines.slice(Math.min(from, to), Math.max(from, to) + 1));
+        return; // Keep the anchor, so the range can be adjusted
+    }
+    
+    if (e.ctrlKey || e.metaKey) {
+        setLineSelected(lineElement, !selectedLines.has(lineElement));
+        updateBulkBar();
+    } else {
+        selectLines([lineElement]);
+    }
+    selectionAnchor = lineElement;
+}
+
+/**
+ * Turns selection mode on or off; leaving it clears the selection
+ * @param {boolean} enabled - True to enter selection mode
+ */
+function setSelectionMode(enabled) {
+    selectionMode = enabled;
+    if (!enabled) {
+        selectLines([]);
+        selectionAnchor = null;
+    }
+    
+    const toggle = document.querySelector(`.${CSS_CLASSES.SELECTION_TOGGLE}`);
+    if (toggle) {
+        setMessageText(toggle, enabled ? 'doneSelecting' : 'selectLines');
+        toggle.setAttribute('aria-pressed', String(enabled));
+    }
+    
+    const bulkBar = document.querySelector(`.${CSS_CLASSES.BULK_BAR}`);
+    if (bulkBar) {
+        bulkBar.hidden = !enabled;
+    }
+    updateBulkBar();
+}
+
+/**
+ * Applies a value change to every selected line, line by line within the limits
+ * History records each line; the total and saved ratings are updated once
+ * 
+ * @param {Function} getNewValue - Receives a line's current value, returns its new value
+ * @param {string} kind - Change kind recorded in the history
+ * @returns {Object} {changed, skipped} where skipped holds the names of lines at a limit
+ */
+function applyBulkChange(getNewValue, kind) {
+    const result = { changed: 0, skipped: [] };
+    
+    registeredLines.forEach(function(line, lineIndex) {
+        if (!selectedLines.has(line)) {
+            return;
+        }
+        
+        const newValue = roundStarValue(getNewValue(ratingModel.getValue(lineIndex)));
+        if (newValue === ratingModel.getValue(lineIndex)) {
+            return; // Already at that value
+        }
+        
+        if (setLineValue(lineIndex, newValue, kind, CHANGE_SOURCES.BULK)) {
+            result.changed++;
+        } else {
+            result.skipped.push(getLineName(lineIndex));
+        }
+    });
+    
+    if (result.changed > 0) {
+        refreshAfterChange();
+        saveRatings();
+    }
+    
+    let status = getMessage('bulkChanged', { count: result.changed });
+    if (result.skipped.length > 0) {
+        status += `; ${getMessage(constraints ? 'skippedAtConstraint' : 'skippedAtLimit', {
+            count: result.skipped.length,
+            min: ratingModel.limits.MIN,
+            max: ratingModel.limits.MAX,
+            lines: result.skipped.join(', ')
+        })}`;
+    }
+    setBulkStatus(status);
+    
+    return result;
+}
+
+/**
+ * Toggles bold on every selected line
+ */
+function toggleBoldOnSelection() {
+    selectedLines.forEach(function(line) {
+        toggleBold(line);
+    });
+    setBulkStatus(getMessage('boldToggled', { count: selectedLines.size }));
+}
+
+/**
+ * Shows the result of the last bulk operation
+ * @param {string} message - Status text
+ */
+function setBulkStatus(message) {
+    const status = document.querySelector(`.${CSS_CLASSES.BULK_STATUS}`);
+    if (status) {
+        status.textContent = message;
+    }
+    announce(message);
+}
+
+/**
+ * Updates the selected-line count and enables the bulk buttons when lines are selected
+ */
+function updateBulkBar() {
+    const bulkBar = document.querySelector(`.${CSS_CLASSES.BULK_BAR}`);
+    if (!bulkBar) {
+        return;
+    }
+    
+    bulkBar.querySelector('.selection-count').textContent = getMessage('selectedCount', { count: selectedLines.size });
+    bulkBar.querySelectorAll('.bulk-action').forEach(function(control) {
+        control.disabled = selectedLines.size === 0;
+    });
+}
+
+/**
+ * Rebuilds the bulk action buttons for the active rules' step sizes
+ */
+function updateBulkActions() {
+    const actions = document.querySelector(`.${CSS_CLASSES.BULK_BAR} .bulk-actions`);
+    if (!actions) {
+        return;
+    }
+    actions.textContent = '';
+    
+    getButtonSteps().forEach(function(step) {
+        [-step, step].forEach(function(change) {
+            const button = createButton(getMessage(change > 0 ? 'bulkAdd' : 'bulkRemove', { step: step }), 'bulk-action');
+            button.addEventListener('click', function() {
+                applyBulkChange(function(value) {
+                    return value + change;
+                }, 'bulk');
+            });
+            actions.appendChild(button);
+        });
+    });
+    
+    const valueInput = document.createElement('input');
+    valueInput.type = 'number';
+    valueInput.className = 'bulk-action';
+    valueInput.min = ratingModel.limits.MIN;
+    valueInput.max = ratingModel.limits.MAX;
+    valueInput.step = ratingModel.rules.step;
+    valueInput.value = ratingModel.limits.MIN;
+    valueInput.style.width = '60px';
+    valueInput.setAttribute('aria-label', getMessage('valueToSet'));
+    
+    const setButton = createButton(getMessage('setTo'), 'bulk-action');
+    setButton.addEventListener('click', function() {
+        const value = Number(valueInput.value);
+        if (!Number.isFinite(value) || !isValueOnStep(value, ratingModel.rules)) {
+            setBulkStatus(getMessage('invalidBulkValue', { value: valueInput.value, step: ratingModel.rules.step }));
+            return;
+        }
+        applyBulkChange(function() {
+            return value;
+        }, 'bulk-set');
+    });
+    actions.appendChild(setButton);
+    actions.appendChild(valueInput);
+    
+    const boldButton = createButton(getMessage('toggleBold'), 'bulk-action');
+    boldButton.addEventListener('click', toggleBoldOnSelection);
+    actions.appendChild(boldButton);
+    
+    updateBulkBar();
+}
+
+/**
+ * Adds the selection toggle to the toolbar and the bulk action bar below it
+ */
+function addBulkActionBar() {
+    const toolbar = document.querySelector(`.${CSS_CLASSES.TOOLBAR}`);
+    if (!toolbar || document.querySelector(`.${CSS_CLASSES.BULK_BAR}`)) {
+        return;
+    }
+    
+    const selectionToggle = createMessageButton('selectLines', CSS_CLASSES.SELECTION_TOGGLE);
+    selectionToggle.setAttribute('aria-pressed', 'false');
+    selectionToggle.style.marginInlineStart = '15px';
+    selectionToggle.addEventListener('click', function() {
+        setSelectionMode(!selectionMode);
+    });
+    toolbar.appendChild(selectionToggle);
+    
+    const bulkBar = document.createElement('div');
+    bulkBar.className = CSS_CLASSES.BULK_BAR;
+    bulkBar.dir = getTextDirection();
+    bulkBar.hidden = true;
+    
+    const selectionCount = document.createElement('span');
+    selectionCount.className = 'selection-count';
+    selectionCount.style.marginInlineEnd = '10px';
+    bulkBar.appendChild(selectionCount);
+    
+    const selectAllButton = createMessageButton('selectAll');
+    selectAllButton.addEventListener('click', function() {
+        selectLines(getVisibleLinesInOrder());
+    });
+    bulkBar.appendChild(selectAllButton);
+    
+    const clearButton = createMessageButton('clearSelection');
+    clearButton.addEventListener('click', function() {
+        selectLines([]);
+    });
+    bulkBar.appendChild(clearButton);
+    
+    const actions = document.createElement('span');
+    actions.className = 'bulk-actions';
+    actions.style.marginInlineStart = '10px';
+    bulkBar.appendChild(actions);
+    
+    const status = document.createElement('div');
+    status.className = CSS_CLASSES.BULK_STATUS;
+    bulkBar.appendChild(status);
+    
+    toolbar.parentNode.insertBefore(bulkBar, toolbar.nextSibling);
+    updateBulkActions();
+}
+
+// ============================================
+// SETTINGS - Switching Rating Rules at Runtime
+// ============================================
+
+/**
+ * Switches the rating rules and refreshes every line
+ * Line values are kept; buttons are rebuilt for the new step size on the lines
+ * that have them (on large pages the others get them on first hover or focus)
+ * 
+ * @param {string|Object} rulesOrPresetName - Preset key from RULE_PRESETS, or a rules config
+ * @throws {Error} If the rules are invalid (nothing is changed in that case)
+ */
+function applyRules(rulesOrPresetName) {
+    const rules = resolveRules(rulesOrPresetName);
+    ratingModel.setRules(rules);
+    
+    registeredLines.forEach(function(line) {
+        const buttonContainer = line.querySelector(`.${CSS_CLASSES.STAR_CONTROLS}`);
+        if (buttonContainer) {
+            buttonContainer.remove();
+            addButtonsToLine(line);
+        }
+        updateLineAriaLimits(line);
+    });
+    
+    updateToolbarFilters();
+    updateBulkActions();
+    updateAllDisplays();
+    updateSettingsPanel();
+}
+
+/**
+ * Selects the active rules in the settings panel, adding a "custom" entry
+ * when the rules did not come from a preset
+ */
+function updateSettingsPanel() {
+    const select = document.querySelector(`.${CSS_CLASSES.SETTINGS_PANEL} select`);
+    if (!select) {
+        return;
+    }
+    
+    const activeName = ratingModel.rules.name;
+    const presetKey = Object.keys(RULE_PRESETS).find(function(key) {
+        return RULE_PRESETS[key].name === activeName;
+    });
+    
+    let customOption = select.querySelector('option[value="custom"]');
+    if (!presetKey && !customOption) {
+        customOption = document.createElement('option');
+        customOption.value = 'custom';
+        select.appendChild(customOption);
+    }
+    if (customOption) {
+        customOption.textContent = activeName;
+        customOption.hidden = Boolean(presetKey);
+    }
+    
+    select.value = presetKey || 'custom';
+}
+
+/**
+ * Adds a small settings panel with a preset selector to the page controls
+ */
+function addSettingsPanel() {
+    const pageControls = getPageControls();
+    if (pageControls.querySelector(`.${CSS_CLASSES.SETTINGS_PANEL}`)) {
+        return;
+    }
+    
+    const settingsPanel = createMessageLabel('rules');
+    settingsPanel.className = CSS_CLASSES.SETTINGS_PANEL;
+    settingsPanel.style.marginInlineStart = '10px';
+    
+    const select = document.createElement('select');
+    Object.keys(RULE_PRESETS).forEach(function(key) {
+        const option = document.createElement('option');
+        option.value = key;
+        setMessageText(option, RULE_PRESETS[key].message);
+        select.appendChild(option);
+    });
+    
+    select.addEventListener('change', function() {
+        if (RULE_PRESETS.hasOwnProperty(select.value)) {
+            applyRules(select.value);
+        }
+    });
+    
+    settingsPanel.appendChild(select);
+    pageControls.appendChild(settingsPanel);
+    updateSettingsPanel();
+}
+
+// ============================================
+// CONSTRAINTS - Star Budget and Color Quotas
+// ============================================
+
+/**
+ * Throws a clear error for an invalid constraints configuration
+ * @param {string} problem - What is wrong
+ */
+function failConstraints(problem) {
+    throw new Error(`Invalid star constraints: ${problem}`);
+}
+
+/**
+ * Validates a constraints configuration and returns a normalized copy
+ * - budget: the most stars all lines together may have
+ * - colors: per color name from the rules, the fewest (min) and most (max) lines with that color
+ * 
+ * @param {Object} config - {budget, colors: {<color>: {min, max}}}, each part optional
+ * @returns {Object} {budget, colors} with null for what is not limited
+ * @throws {Error} If the configuration is invalid
+ */
+function createConstraints(config) {
+    if (!config || typeof config !== 'object') {
+        failConstraints('expected an object with a budget and/or colors');
+    }
+    
+    const budget = config.budget === undefined ? null : config.budget;
+    if (budget !== null && !(Number.isFinite(budget) && budget >= 0)) {
+        failConstraints(`budget (${budget}) must be a number of stars, 0 or more`);
+    }
+    
+    const colors = {};
+    Object.keys(config.colors || {}).forEach(function(color) {
+        const quota = config.colors[color] || {};
+        const min = quota.min === undefined ? null : quota.min;
+        const max = quota.max === undefined ? null : quota.max;
+        
+        [['min', min], ['max', max]].forEach(function(bound) {
+            if (bound[1] !== null && !(Number.isInteger(bound[1]) && bound[1] >= 0)) {
+                failConstraints(`colors.${color}.${bound[0]} (${bound[1]}) must be a whole number of lines, 0 or more`);
+            }
+        });
+        if (min === null && max === null) {
+            failConstraints(`colors.${color} needs a min or a max`);
+        }
+        if (min !== null && max !== null && min > max) {
+            failConstraints(`colors.${color}.min (${min}) is greater than its max (${max})`);
+        }
+        colors[color] = { min: min, max: max };
+    });
+    
+    if (budget === null && Object.keys(colors).length === 0) {
+        failConstraints('expected a budget and/or colors');
+    }
+    return { budget: budget, colors: colors };
+}
+
+/**
+ * Checks a line's new value against the active constraints. Only changes that
+ * make things worse are blocked, so a page that starts over its budget or
+ * quotas can always be brought back within them.
+ * @param {number} lineIndex - Model index of the line
+ * @param {number} newValue - Value the line would get
+ * @returns {Object|null} {type, message} for the broken constraint, or null if the change is fine
+ */
+function findConstraintViolation(lineIndex, newValue) {
+    if (!constraints) {
+        return null;
+    }
+    
+    const valueBefore = ratingModel.getValue(lineIndex);
+    const totalAfter = roundStarValue(ratingModel.getTotal() - valueBefore + newValue);
+    if (constraints.budget !== null && newValue > valueBefore && totalAfter > constraints.budget) {
+        return {
+            type: CONSTRAINT_TYPES.BUDGET,
+            message: getMessage('budgetViolation', { budget: constraints.budget, used: ratingModel.getTotal() })
+        };
+    }
+    
+    const colorBefore = ratingModel.getColor(lineIndex);
+    const colorAfter = getColorForStarCount(valueToStarCount(newValue), ratingModel.rules);
+    if (colorAfter === colorBefore) {
+        return null;
+    }
+    
+    const quotaAfter = constraints.colors[colorAfter];
+    if (quotaAfter && quotaAfter.max !== null && ratingModel.getColorCount(colorAfter) >= quotaAfter.max) {
+        return {
+            type: CONSTRAINT_TYPES.COLOR_MAX,
+            message: getMessage('colorMaxViolation', { count: quotaAfter.max, color: getRuleName(colorAfter) })
+        };
+    }
+    
+    const quotaBefore = constraints.colors[colorBefore];
+    if (quotaBefore && quotaBefore.min !== null && ratingModel.getColorCount(colorBefore) <= quotaBefore.min) {
+        return {
+            type: CONSTRAINT_TYPES.COLOR_MIN,
+            message: getMessage('colorMinViolation', { count: quotaBefore.min, color: getRuleName(colorBefore) })
+        };
+    }
+    
+    return null;
+}
+
+/**
+ * Shows a message about the last action below the total (and reads it out), or hides it
+ * @param {string|null} text - Message text, or null to hide the message
+ * @param {string} tone - Optional 'error' (default, shown in red) or 'info'
+ */
+function showPageMessage(text, tone) {
+    const message = getTotalDisplayPart(CSS_CLASSES.CONSTRAINT_MESSAGE);
+    if (text === null) {
+        message.hidden = true;
+        return;
+    }
+    
+    message.textContent = text;
+    message.dataset.tone = tone || 'error';
+    message.hidden = false;
+    announce(text);
+}
+
+/**
+ * Shows why a change was blocked below the total, or clears the message
+ * @param {number} lineIndex - Model index of the line that was changed
+ * @param {Object|null} violation - Broken constraint from findConstraintViolation, or null to clear
+ */
+function showConstraintMessage(lineIndex, violation) {
+    showPageMessage(violation ?
+        getMessage('notChanged', { line: getLineName(lineIndex), reason: violation.message }) : null);
+}
+
+/**
+ * Formats one color quota, e.g. "green 3/4" or "red 1 (min 2) ⚠" when it is broken
+ * @param {string} color - Color name
+ * @param {Object} quota - {min, max}
+ * @returns {string} Quota usage text
+ */
+function formatColorQuota(color, quota) {
+    const count = ratingModel.getColorCount(color);
+    const isBroken = (quota.max !== null && count > quota.max) || (quota.min !== null && count < quota.min);
+    
+    return `${getRuleName(color)} ${formatStarNumber(count)}` +
+           (quota.max !== null ? `/${formatStarNumber(quota.max)}` : '') +
+           (quota.min !== null ? ` ${getMessage('quotaMin', { min: quota.min })}` : '') +
+           (isBroken ? ' \u26A0' : ''); // ⚠
+}
+
+/**
+ * Shows the remaining budget and the quota usage below the total (hidden while constraints are off)
+ */
+function updateConstraintStatus() {
+    const status = getTotalDisplayPart(CSS_CLASSES.CONSTRAINT_STATUS);
+    status.hidden = !constraints;
+    if (!constraints) {
+        return;
+    }
+    
+    const parts = [];
+    if (constraints.budget !== null) {
+        const remaining = roundStarValue(constraints.budget - ratingModel.getTotal());
+        parts.push(remaining >= 0 ?
+            getMessage('budgetLeft', { remaining: remaining, budget: constraints.budget }) :
+            getMessage('budgetOver', { over: -remaining, budget: constraints.budget }));
+    }
+    Object.keys(constraints.colors).forEach(function(color) {
+        parts.push(formatColorQuota(color, constraints.colors[color]));
+    });
+    
+    status.textContent = parts.join(' \u00B7 '); // ·
+}
+
+/**
+ * Builds the localStorage key of the constraints (next to this page's saved ratings)
+ * @returns {string} Storage key
+ */
+function getConstraintsStorageKey() {
+    return `${getStorageKey()}|constraints`;
+}
+
+/**
+ * Reads the constraints saved for this page, unless init already set some
+ * Saved constraints that are no longer valid are ignored
+ */
+function loadConstraints() {
+    if (constraints) {
+        return; // The constraints init option wins
+    }
+    
+    try {
+        const saved = JSON.parse(window.localStorage.getItem(getConstraintsStorageKey()));
+        constraints = saved ? createConstraints(saved) : null;
+    } catch (error) {
+        console.warn('Could not read the saved star constraints:', error);
+    }
+}
+
+/**
+ * Saves the active constraints for this page (or removes them when the mode is off)
+ */
+function saveConstraints() {
+    try {
+        if (constraints) {
+            window.localStorage.setItem(getConstraintsStorageKey(), JSON.stringify(constraints));
+        } else {
+            window.localStorage.removeItem(getConstraintsStorageKey());
+        }
+    } catch (error) {
+        console.warn('Could not save the star constraints:', error);
+    }
+}
+
+/**
+ * Turns constraints mode on with new constraints, or off, and saves the choice for this page
+ * Lines are not changed; values already beyond a constraint are marked and can only move back
+ * @param {Object|null} config - Constraints config (see createConstraints), or null to turn the mode off
+ * @throws {Error} If the constraints are invalid (the active ones are kept in that case)
+ */
+function setConstraints(config) {
+    constraints = config ? createConstraints(config) : null;
+    saveConstraints();
+    showPageMessage(null);
+    updateConstraintStatus();
+}
+
+// ============================================
+// THEMES - Stylesheet, Themes and Color-Blind Cues
+// ============================================
+
+/**
+ * Gets the CSS color for a rating color: the theme's variable for plain color
+ * names (falling back to the name itself), other colors as they are
+ * @param {string} color - Color from the rules (e.g. 'yellow' or '#FFAA00')
+ * @returns {string} CSS color value
+ */
+function getThemeColor(color) {
+    if (!/^[a-z]+$/i.test(color)) {
+        return color;
+    }
+    return `var(--star-counter-color-${color.toLowerCase()}, ${color})`;
+}
+
+/**
+ * Converts a style object (camelCase properties) into CSS declarations
+ * @param {Object} styles - Style object, e.g. BUTTON_STYLES
+ * @returns {string} Declarations, e.g. "font-size: 12px;"
+ */
+function toCssDeclarations(styles) {
+    return Object.keys(styles).map(function(property) {
+        const cssProperty = property.replace(/[A-Z]/g, function(letter) {
+            return `-${letter.toLowerCase()}`;
+        });
+        return `${cssProperty}: ${styles[property]};`;
+    }).join(' ');
+}
+
+/**
+ * Builds the stylesheet text: the active theme's variables, then STYLESHEET_RULES,
+ * with the color-blind cues shown only in color-blind mode and the line part gaps
+ * on the page's starting side
+ * The gaps use physical margins: a count or button bar in a right-to-left language
+ * on a left-to-right page still sits after the stars, so its own direction can't decide
+ * @returns {string} CSS text
+ */
+function buildStylesheet() {
+    const gapProperty = pageDirection === 'rtl' ? 'marginRight' : 'marginLeft';
+    const gapRules = LINE_PART_GAPS.map(function(gap) {
+        const styles = {};
+        styles[gapProperty] = gap[1];
+        return [gap[0], styles];
+    });
+    const rules = [[':root', THEMES[displaySettings.theme].variables]]
+        .concat(STYLESHEET_RULES)
+        .concat([[`.${CSS_CLASSES.STAR_CUE}`, { display: displaySettings.colorBlind ? 'inline' : 'none' }]])
+        .concat(gapRules);
+    
+    return rules.map(function(rule) {
+        return `${rule[0]} { ${toCssDeclarations(rule[1])} }`;
+    }).join('\n');
+}
+
+/**
+ * Writes the stylesheet for the current display settings, injecting it on first use
+ */
+function updateStylesheet() {
+    let stylesheet = document.getElementById(ELEMENT_IDS.STYLESHEET);
+    if (!stylesheet) {
+        stylesheet = document.createElement('style');
+        stylesheet.id = ELEMENT_IDS.STYLESHEET;
+        document.head.appendChild(stylesheet);
+    }
+    stylesheet.textContent = buildStylesheet();
+}
+
+/**
+ * Writes a line's color-blind cue next to its count: the shape of the matching
+ * condition and its label, e.g. "▲ LOW" (hidden by the stylesheet unless color-blind mode is on)
+ * @param {HTMLElement} lineElement - The line element
+ * @param {HTMLElement} countDisplay - The line's count display
+ * @param {Object} starCount - The line's star count
+ */
+function updateColorBlindCue(lineElement, countDisplay, starCount) {
+    let cue = lineElement.querySelector(`.${CSS_CLASSES.STAR_CUE}`);
+    if (!cue) {
+        cue = document.createElement('span');
+        cue.className = CSS_CLASSES.STAR_CUE;
+        cue.setAttribute('aria-hidden', 'true'); // The label is already in aria-valuetext
+        countDisplay.parentNode.insertBefore(cue, countDisplay.nextSibling);
+    }
+    
+    const condition = findMatchingCondition(starCount, ratingModel.rules);
+    const position = ratingModel.rules.conditions.indexOf(condition);
+    cue.textContent = condition ?
+        `${COLOR_BLIND_SHAPES[position % COLOR_BLIND_SHAPES.length]} ${getRuleName(condition.label)}` : '';
+}
+
+/**
+ * Reads the saved theme and color-blind choice
+ * @returns {Object} Saved {theme, colorBlind} values (empty if nothing is saved)
+ */
+function loadDisplaySettings() {
+    try {
+        return JSON.parse(window.localStorage.getItem(DISPLAY_SETTINGS_STORAGE_KEY)) || {};
+    } catch (error) {
+        console.warn('Could not read star counter display settings:', error);
+        return {};
+    }
+}
+
+/**
+ * Saves the theme and color-blind choice
+ */
+function saveDisplaySettings() {
+    try {
+        window.localStorage.setItem(DISPLAY_SETTINGS_STORAGE_KEY, JSON.stringify(displaySettings));
+    } catch (error) {
+        console.warn('Could not save star counter display settings:', error);
+    }
+}
+
+/**
+ * Switches the theme
+ * @param {string} themeKey - Key from THEMES
+ * @throws {Error} If the theme is unknown
+ */
+function setTheme(themeKey) {
+    if (!THEMES.hasOwnProperty(themeKey)) {
+        throw new Error(`Unknown theme "${themeKey}" (available: ${Object.keys(THEMES).join(', ')})`);
+    }
+    
+    displaySettings.theme = themeKey;
+    updateStylesheet();
+    updateThemeControls();
+    saveDisplaySettings();
+}
+
+/**
+ * Shows or hides the color-blind cues next to each line's count
+ * @param {boolean} enabled - True to show the cues
+ */
+function setColorBlindMode(enabled) {
+    displaySettings.colorBlind = Boolean(enabled);
+    updateStylesheet();
+    updateThemeControls();
+    saveDisplaySettings();
+}
+
+/**
+ * Picks the starting display settings: init options first, then the saved choice
+ * @param {Object} settings - Init options ({theme, colorBlind, locale})
+ * @throws {Error} If the theme or locale option is unknown
+ */
+function initDisplaySettings(settings) {
+    const saved = loadDisplaySettings();
+    const theme = settings.theme || saved.theme;
+    
+    if (settings.theme && !THEMES.hasOwnProperty(settings.theme)) {
+        throw new Error(`Unknown theme "${settings.theme}" (available: ${Object.keys(THEMES).join(', ')})`);
+    }
+    if (settings.locale && !findCatalogKey(settings.locale)) {
+        failLocale(settings.locale);
+    }
+    
+    displaySettings.theme = THEMES.hasOwnProperty(theme) ? theme : DEFAULT_THEME;
+    displaySettings.colorBlind = Boolean(settings.colorBlind !== undefined ? settings.colorBlind : saved.colorBlind);
+    displaySettings.locale = settings.locale || (findCatalogKey(saved.locale) ? saved.locale : null);
+    initLocale();
+}
+
+/**
+ * Shows the active display settings in the theme controls
+ */
+function updateThemeControls() {
+    const themeSettings = document.querySelector(`.${CSS_CLASSES.THEME_SETTINGS}`);
+    if (!themeSettings) {
+        return;
+    }
+    
+    themeSettings.querySelector('select[name="theme"]').value = displaySettings.theme;
+    themeSettings.querySelector('input[type="checkbox"]').checked = displaySettings.colorBlind;
+    themeSettings.querySelector('select[name="locale"]').value = findCatalogKey(activeLocale.tag);
+}
+
+/**
+ * Adds the theme selector, the color-blind checkbox and the language selector to the page controls
+ */
+function addThemeControls() {
+    const pageControls = getPageControls();
+    if (pageControls.querySelector(`.${CSS_CLASSES.THEME_SETTINGS}`)) {
+        return;
+    }
+    
+    const themeSettings = document.createElement('span');
+    themeSettings.className = CSS_CLASSES.THEME_SETTINGS;
+    themeSettings.style.marginInlineStart = '10px';
+    
+    const themeLabel = createMessageLabel('theme');
+    const select = document.createElement('select');
+    select.name = 'theme';
+    fillSelectOptions(select, Object.keys(THEMES).map(function(key) {
+        return { value: key, message: THEMES[key].message };
+    }));
+    select.addEventListener('change', function() {
+        setTheme(select.value);
+    });
+    themeLabel.appendChild(select);
+    themeSettings.appendChild(themeLabel);
+    
+    const colorBlindLabel = document.createElement('label');
+    colorBlindLabel.style.marginInlineStart = '10px';
+    const checkbox = document.createElement('input');
+    checkbox.type = 'checkbox';
+    checkbox.addEventListener('change', function() {
+        setColorBlindMode(checkbox.checked);
+    });
+    colorBlindLabel.appendChild(checkbox);
+    colorBlindLabel.appendChild(document.createTextNode(' '));
+    colorBlindLabel.appendChild(createMessageText('colorBlindCues'));
+    themeSettings.appendChild(colorBlindLabel);
+    
+    const localeLabel = createMessageLabel('language');
+    localeLabel.style.marginInlineStart = '10px';
+    const localeSelect = document.createElement('select');
+    localeSelect.name = 'locale';
+    fillSelectOptions(localeSelect, Object.keys(MESSAGES).map(function(key) {
+        return { value: key, text: MESSAGES[key].name };
+    }));
+    localeSelect.addEventListener('change', function() {
+        setLocale(localeSelect.value);
+    });
+    localeLabel.appendChild(localeSelect);
+    themeSettings.appendChild(localeLabel);
+    
+    pageControls.appendChild(themeSettings);
+    updateThemeControls();
+}
+
+// ============================================
+// LOCALIZATION - Messages, Plurals and Text Direction
+// ============================================
+
+/**
+ * Throws the error for a locale without a catalog in MESSAGES
+ * @param {string} localeTag - The requested locale
+ */
+function failLocale(localeTag) {
+    throw new Error(`Unknown locale "${localeTag}" (available: ${Object.keys(MESSAGES).join(', ')})`);
+}
+
+/**
+ * Finds the MESSAGES catalog for a locale tag by its language, e.g. 'he-IL' -> 'he'
+ * @param {string} localeTag - Locale tag, e.g. 'en-US', 'he' or 'he_IL'
+ * @returns {string|null} Catalog key, or null if there is no catalog for the language
+ */
+function findCatalogKey(localeTag) {
+    const language = String(localeTag || '').split(/[-_]/)[0].toLowerCase();
+    return MESSAGES.hasOwnProperty(language) ? language : null;
+}
+
+/**
+ * Builds the formatters for a locale: the full tag is kept for plurals and numbers
+ * (e.g. 'en-IN' digit grouping), the catalog is chosen by its language
+ * @param {string} localeTag - Locale tag with a catalog (see findCatalogKey)
+ * @returns {Object} {tag, messages, pluralRules, numberFormat}
+ */
+function createLocale(localeTag) {
+    const catalogKey = findCatalogKey(localeTag);
+    let tag = catalogKey;
+    try {
+        tag = Intl.getCanonicalLocales(String(localeTag).replace(/_/g, '-'))[0];
+    } catch (error) {
+        // Malformed tag (e.g. 'he-'): the catalog's language alone is enough
+    }
+    
+    return {
+        tag: tag,
+        messages: MESSAGES[catalogKey],
+        pluralRules: new Intl.PluralRules(tag),
+        numberFormat: new Intl.NumberFormat(tag, { maximumFractionDigits: STAR_VALUE_DECIMALS })
+    };
+}
+
+/**
+ * Activates the chosen locale, or the page's language, then the browser's, then DEFAULT_LOCALE
+ */
+function initLocale() {
+    const candidates = [displaySettings.locale, document.documentElement.lang, window.navigator.language];
+    const localeTag = candidates.find(function(candidate) {
+        return findCatalogKey(candidate) !== null;
+    });
+    activeLocale = createLocale(localeTag || DEFAULT_LOCALE);
+}
+
+/**
+ * Formats a star value in the active locale, e.g. 2.5 -> "2.5" (or "2,5" in German)
+ * @param {number} value - Star value
+ * @returns {string} Formatted number
+ */
+function formatStarNumber(value) {
+    return activeLocale.numberFormat.format(value);
+}
+
+/**
+ * Gets a message from the active catalog (falling back to DEFAULT_LOCALE), picking the
+ * plural form for params.count and filling in the {placeholders}
+ * @param {string} key - Message key in MESSAGES
+ * @param {Object} params - Optional placeholder values; numbers are formatted for the locale
+ * @returns {string} Message text
+ */
+function getMessage(key, params) {
+    const values = params || {};
+    let message = activeLocale.messages.hasOwnProperty(key) ? activeLocale.messages[key] : MESSAGES[DEFAULT_LOCALE][key];
+    
+    if (typeof message === 'object') {
+        message = message[activeLocale.pluralRules.select(values.count)] || message.other;
+    }
+    
+    return message.replace(/\{(\w+)\}/g, function(placeholder, name) {
+        return typeof values[name] === 'number' ? formatStarNumber(values[name]) : String(values[name]);
+    });
+}
+
+/**
+ * Gets a rule color or label in the active language, e.g. 'red' or 'LOW'
+ * Names without a translation (see ruleNames in MESSAGES) are shown as they are
+ * @param {string} name - Color or label from the rules
+ * @returns {string} Name to show
+ */
+function getRuleName(name) {
+    const names = activeLocale.messages.ruleNames || {};
+    return names.hasOwnProperty(name) ? names[name] : name;
+}
+
+/**
+ * Shows a fixed message in an element and remembers its key, so
+ * updateLocaleLabels can relabel it when the language changes
+ * @param {HTMLElement} element - Element whose whole text is the message
+ * @param {string} key - Message key in MESSAGES (without placeholders)
+ */
+function setMessageText(element, key) {
+    element.dataset.message = key;
+    element.textContent = getMessage(key);
+}
+
+/**
+ * Creates a span showing a fixed message, e.g. the text of a checkbox label
+ * @param {string} key - Message key in MESSAGES
+ * @returns {HTMLElement} Span element
+ */
+function createMessageText(key) {
+    const text = document.createElement('span');
+    setMessageText(text, key);
+    return text;
+}
+
+/**
+ * Creates a label starting with a fixed message, for a control appended after it
+ * @param {string} key - Message key in MESSAGES, e.g. 'theme' for "Theme:"
+ * @returns {HTMLElement} Label element
+ */
+function createMessageLabel(key) {
+    const label = document.createElement('label');
+    label.appendChild(createMessageText(key));
+    label.appendChild(document.createTextNode(' '));
+    return label;
+}
+
+/**
+ * Creates a button labelled with a fixed message
+ * @param {string} key - Message key in MESSAGES
+ * @param {string} buttonClass - Optional extra class
+ * @returns {HTMLElement} Button element
+ */
+function createMessageButton(key, buttonClass) {
+    const button = createButton('', buttonClass);
+    setMessageText(button, key);
+    return button;
+}
+
+/**
+ * Gets the text direction of the active locale
+ * @returns {string} 'ltr' or 'rtl'
+ */
+function getTextDirection() {
+    return activeLocale.messages.direction;
+}
+
+/**
+ * Reads the text direction of the page around the lines (from #main, so a page
+ * set right-to-left with CSS or the dir attribute both count)
+ * @returns {string} 'ltr' or 'rtl'
+ */
+function readPageDirection() {
+    const container = getMainContainer() || document.documentElement;
+    return window.getComputedStyle(container).direction === 'rtl' ? 'rtl' : 'ltr';
+}
+
+/**
+ * Writes the active locale's labels and direction into everything already on the page:
+ * line counts, buttons, names and badges, the total display, the page controls,
+ * the toolbar, the bulk action bar and the panels
+ */
+function updateLocaleLabels() {
+    const direction = getTextDirection();
+    const panelSelectors = [
+        CSS_CLASSES.PAGE_CONTROLS,
+        CSS_CLASSES.TOOLBAR,
+        CSS_CLASSES.BULK_BAR,
+        CSS_CLASSES.SNAPSHOT_PANEL,
+        CSS_CLASSES.AUDIT_LOG_PANEL
+    ].map(function(className) {
+        return `.${className}`;
+    });
+    
+    document.querySelectorAll(panelSelectors.concat(`.${CSS_CLASSES.STAR_COUNT}`, `.${CSS_CLASSES.STAR_CONTROLS}`).join(', ')).forEach(function(element) {
+        element.dir = direction;
+    });
+    getTotalDisplay().dir = direction;
+    
+    document.querySelectorAll(`.${CSS_CLASSES.STAR_CONTROLS} button[data-change]`).forEach(function(button) {
+        button.textContent = getChangeButtonLabel(Number(button.dataset.change));
+    });
+    document.querySelectorAll(panelSelectors.map(function(selector) {
+        return `${selector} [data-message]`;
+    }).join(', ')).forEach(function(element) {
+        element.textContent = getMessage(element.dataset.message);
+    });
+    
+    registeredLines.forEach(function(line, lineIndex) {
+        line.setAttribute('aria-label', getMessage('lineRating', { line: getLineName(lineIndex) }));
+        const badge = line.querySelector(`.${CSS_CLASSES.REMOTE_BADGE}`);
+        if (badge) {
+            setRemoteBadge(line, Number(badge.dataset.timestamp));
+        }
+    });
+    
+    // Messages about earlier actions are cleared; labels built from current values are rebuilt
+    const bulkStatus = document.querySelector(`.${CSS_CLASSES.BULK_STATUS}`);
+    if (bulkStatus) {
+        bulkStatus.textContent = '';
+    }
+    getTotalDisplayPart(CSS_CLASSES.CONSTRAINT_MESSAGE).hidden = true;
+    if (statsPanelExpanded !== null) {
+        setStatsPanelExpanded(statsPanelExpanded);
+    }
+    updateToolbarFilters();
+    updateBulkActions();
+    updateAuditLogPanel();
+    updateSnapshotPanel();
+    updateAllDisplays();
+}
+
+/**
+ * Switches the UI language and relabels the page
+ * @param {string} localeTag - Locale tag whose language has a catalog, e.g. 'he', 'he-IL' or 'en-GB'
+ * @throws {Error} If there is no catalog for the language
+ */
+function setLocale(localeTag) {
+    if (!findCatalogKey(localeTag)) {
+        failLocale(localeTag);
+    }
+    
+    displaySettings.locale = localeTag;
+    activeLocale = createLocale(localeTag);
+    updateLocaleLabels();
+    updateThemeControls();
+    saveDisplaySettings();
+}
+
+// ============================================
+// STAR PICKER - Hover Preview and Click to Set
+// ============================================
+
+/**
+ * Gets the star slots of a line in visual order: real star icons, then ghost stars
+ * @param {HTMLElement} lineElement - The line element
+ * @returns {Array} Star slot elements
+ */
+function getStarSlots(lineElement) {
+    const adapter = getSiteAdapter();
+    const slots = adapter.findStars(lineElement, 'full').concat(
+        adapter.findStars(lineElement, 'half'),
+        Array.from(lineElement.querySelectorAll(`.${CSS_CLASSES.PARTIAL_STAR}, .${CSS_CLASSES.GHOST_STAR}`))
+    );
+    
+    return slots.sort(function(slotA, slotB) {
+        return slotA.compareDocumentPosition(slotB) & Node.DOCUMENT_POSITION_FOLLOWING ? -1 : 1;
+    });
+}
+
+/**
+ * Adds or removes ghost stars so the line has one slot per star up to the maximum
+ * Ghost stars are text glyphs without Font Awesome star classes, so they are never counted
+ * @param {HTMLElement} lineElement - The line element
+ */
+function syncGhostStars(lineElement) {
+    const ghostStars = Array.from(lineElement.querySelectorAll(`.${CSS_CLASSES.GHOST_STAR}`));
+    const realStarCount = getStarSlots(lineElement).length - ghostStars.length;
+    const neededGhosts = Math.max(0, Math.ceil(ratingModel.limits.MAX) - realStarCount);
+    
+    ghostStars.splice(neededGhosts).forEach(function(ghostStar) {
+        ghostStar.remove();
+    });
+    
+    const insertBefore = lineElement.querySelector(`.${CSS_CLASSES.STAR_COUNT}, .${CSS_CLASSES.STAR_CONTROLS}`);
+    while (ghostStars.length < neededGhosts) {
+        const ghostStar = document.createElement('i');
+        ghostStar.className = `${getSiteAdapter().glyphs.className} ${CSS_CLASSES.GHOST_STAR}`.trim();
+        ghostStar.setAttribute('aria-hidden', 'true');
+        ghostStar.textContent = getSiteAdapter().glyphs.empty;
+        lineElement.insertBefore(ghostStar, insertBefore);
+        ghostStars.push(ghostStar);
+    }
+}
+
+/**
+ * Removes the ghost stars and any preview styling from a line
+ * @param {HTMLElement} lineElement - The line element
+ */
+function clearStarPreview(lineElement) {
+    lineElement.querySelectorAll(`.${CSS_CLASSES.GHOST_STAR}`).forEach(function(ghostStar) {
+        ghostStar.remove();
+    });
+    getStarSlots(lineElement).forEach(function(slot) {
+        slot.style.opacity = '';
+    });
+}
+
+/**
+ * Shows a preview of a value: real stars past it are dimmed, ghost stars up to it are filled in
+ * @param {HTMLElement} lineElement - The line element
+ * @param {number} value - Previewed rating value
+ */
+function showStarPreview(lineElement, value) {
+    const glyphs = getSiteAdapter().glyphs;
+    
+    getStarSlots(lineElement).forEach(function(slot, slotIndex) {
+        const fill = Math.min(1, Math.max(0, value - slotIndex));
+        
+        if (!slot.classList.contains(CSS_CLASSES.GHOST_STAR)) {
+            slot.style.opacity = fill > 0 ? '' : GHOST_STAR.DIMMED_OPACITY;
+            return;
+        }
+        
+        if (fill >= 1) {
+            slot.textContent = glyphs.full;
+        } else if (fill > 0) {
+            slot.textContent = glyphs.half;
+        } else {
+            slot.textContent = glyphs.empty;
+        }
+        slot.style.opacity = fill > 0 ? GHOST_STAR.PREVIEW_OPACITY : '';
+    });
+}
+
+/**
+ * Works out the value under the pointer: the slot's position plus how far into
+ * the slot the pointer is, rounded up to the rules' step and kept within limits
+ * @param {HTMLElement} slot - The star slot under the pointer
+ * @param {number} slotIndex - Position of the slot in the line
+ * @param {number} clientX - Pointer X position
+ * @returns {number} Rating value for that position
+ */
+function getValueAtPointer(slot, slotIndex, clientX) {
+    const rules = ratingModel.rules;
+    const rect = slot.getBoundingClientRect();
+    const offset = rect.width > 0 ? (clientX - rect.left) / rect.width : 1;
+    const rawValue = slotIndex + Math.min(1, Math.max(0, offset));
+    const value = rules.min + Math.ceil(roundStarValue((rawValue - rules.min) / rules.step)) * rules.step;
+    
+    return Math.min(rules.max, Math.max(rules.min, roundStarValue(value)));
+}
+
+/**
+ * Finds the star slot an event happened on, with its value
+ * The target may be inside the slot (e.g. the shape of an SVG star)
+ * @param {HTMLElement} lineElement - The line element
+ * @param {MouseEvent} e - Mouse event
+ * @returns {number|null} Value under the pointer, or null when not over a star
+ */
+function getPointerValue(lineElement, e) {
+    const slots = getStarSlots(lineElement);
+    const slotIndex = slots.findIndex(function(slot) {
+        return slot.contains(e.target);
+    });
+    
+    return slotIndex === -1 ? null : getValueAtPointer(slots[slotIndex], slotIndex, e.clientX);
+}
+
+/**
+ * Moves the hover preview to the line under the pointer: the line it left is
+ * cleared, and the line's value under the pointer (or its own value, when the
+ * pointer is not over a star) is previewed with ghost stars
+ * @param {HTMLElement|null} lineElement - Line under the pointer, or null
+ * @param {MouseEvent} e - Mouse event
+ */
+function updateStarPreview(lineElement, e) {
+    if (previewLine && previewLine !== lineElement) {
+        clearStarPreview(previewLine);
+    }
+    previewLine = lineElement;
+    if (!lineElement) {
+        return;
+    }
+    
+    syncGhostStars(lineElement);
+    const value = getPointerValue(lineElement, e);
+    
+    if (value === null) {
+        showStarPreview(lineElement, ratingModel.getValue(getLineIndex(lineElement)));
+    } else {
+        showStarPreview(lineElement, value);
+    }
+}
+
+// ============================================
+// EVENT DELEGATION - One Set of Listeners on #main
+// ============================================
+
+/**
+ * Finds the registered line an event happened in
+ * @param {Node} target - Event target (may be deep inside the line, e.g. an SVG shape)
+ * @returns {HTMLElement|null} The line, or null if the target is not in a line
+ */
+function findEventLine(target) {
+    let element = target.nodeType === Node.ELEMENT_NODE ? target : target.parentElement;
+    while (element && getLineIndex(element) === -1) {
+        element = element.parentElement;
+    }
+    return element;
+}
+
+/**
+ * Handles every click in #main, in order of precedence:
+ * a line's star buttons, its "Fix" button, a selection click in selection mode,
+ * a click on the stars (sets the value) and anywhere else on the line (toggles bold)
+ * @param {MouseEvent} e - Click event
+ */
+function handleMainClick(e) {
+    const lineElement = findEventLine(e.target);
+    if (!lineElement) {
+        return;
+    }
+    
+    const button = e.target.closest('button');
+    if (button && lineElement.contains(button)) {
+        if (button.classList.contains(CSS_CLASSES.FIX_BUTTON)) {
+            normalizeLines([lineElement]);
+        } else if (button.dataset.change !== undefined) {
+            handleStarChange(lineElement, Number(button.dataset.change), CHANGE_SOURCES.BUTTON);
+        }
+        return;
+    }
+    
+    if (selectionMode) {
+        handleSelectionClick(lineElement, e);
+        return;
+    }
+    
+    const value = getPointerValue(lineElement, e);
+    if (value === null) {
+        toggleBold(lineElement);
+        return;
+    }
+    
+    handleStarSet(lineElement, value, 'click-set', CHANGE_SOURCES.POINTER);
+    syncGhostStars(lineElement);
+    showStarPreview(lineElement, value);
+}
+
+/**
+ * Attaches the page's only line listeners, on #main: clicks, keys, focus and hover
+ * work for every line, including lines added later, without a listener per line.
+ * A line's buttons are created when it is first hovered or focused, if they don't exist yet.
+ */
+function attachDelegatedHandlers() {
+    const mainContainer = getMainContainer();
+    const listenerOptions = { signal: pageListeners.signal };
+    
+    mainContainer.addEventListener('click', handleMainClick, listenerOptions);
+    
+    mainContainer.addEventListener('keydown', function(e) {
+        const lineElement = findEventLine(e.target);
+        if (lineElement) {
+            handleLineKeydown(lineElement, e);
+        }
+    }, listenerOptions);
+    
+    mainContainer.addEventListener('focusin', function(e) {
+        const lineElement = findEventLine(e.target);
+        if (lineElement && e.target === lineElement) {
+            setActiveLine(lineElement, false);
+            addButtonsToLine(lineElement);
+        }
+    }, listenerOptions);
+    
+    mainContainer.addEventListener('mouseover', function(e) {
+        const lineElement = findEventLine(e.target);
+        if (lineElement) {
+            addButtonsToLine(lineElement);
+        }
+    }, listenerOptions);
+    
+    mainContainer.addEventListener('mousemove', function(e) {
+        updateStarPreview(findEventLine(e.target), e);
+    }, listenerOptions);
+    
+    mainContainer.addEventListener('mouseleave', function(e) {
+        updateStarPreview(null, e);
+    }, listenerOptions);
+}
+
+// ============================================
+// PAGE WATCHER - Lines Added Later and Outside Changes
+// ============================================
+
+/**
+ * Registers and fully enhances a line that appeared after initialization
+ * @param {HTMLElement} lineElement - The new line
+ */
+function enhanceNewLine(lineElement) {
+    const lineIndex = registerLine(lineElement);
+    
+    updateLineDisplay(lineElement, ratingModel.getStarCount(lineIndex));
+    setupLineAccessibility(lineElement, lineIndex);
+    if (!usesLazyControls()) {
+        addButtonsToLine(lineElement);
+    }
+}
+
+/**
+ * Re-reads a line's star icons and updates the model if the page changed them
+ * Our own icon changes are not seen by the page watcher (see writeUnwatched)
+ * 
+ * @param {HTMLElement} lineElement - A registered line
+ * @returns {boolean} True if the line's value changed
+ */
+function resyncLine(lineElement) {
+    const lineIndex = getLineIndex(lineElement);
+    const pageValue = countStarsInLine(lineElement).total;
+    
+    if (pageValue === ratingModel.getValue(lineIndex)) {
+        return false;
+    }
+    
+    const valueBefore = ratingModel.getValue(lineIndex);
+    ratingModel.restoreValue(lineIndex, pageValue);
+    updateLineDisplay(lineElement, ratingModel.getStarCount(lineIndex));
+    emitChange(lineIndex, valueBefore, 'external');
+    return true;
+}
+
+/**
+ * Checks whether a node is part of the counter's own panels or line parts
+ * (see OWN_INTERFACE_SELECTOR and OWN_LINE_PART_SELECTOR)
+ * @param {Node} node - Node from a mutation (possibly already removed)
+ * @returns {boolean} True for the counter's own elements
+ */
+function isOwnNode(node) {
+    const element = node.nodeType === Node.ELEMENT_NODE ? node : node.parentElement;
+    return Boolean(element && element.closest(`${OWN_INTERFACE_SELECTOR}, ${OWN_LINE_PART_SELECTOR}`));
+}
+
+/**
+ * Checks whether a mutation only touched the counter's own elements: a change
+ * inside one of them, or only own elements added to or removed from a line
+ * @param {MutationRecord} mutation - Observed mutation
+ * @returns {boolean} True if the page watcher can skip the mutation
+ */
+function isOwnMutation(mutation) {
+    if (isOwnNode(mutation.target)) {
+        return true;
+    }
+    
+    const nodes = Array.from(mutation.addedNodes).concat(Array.from(mutation.removedNodes));
+    return mutation.type === 'childList' && nodes.length > 0 && nodes.every(isOwnNode);
+}
+
+/**
+ * Runs one of the counter's own changes to the star icons or the order of the
+ * lines without the page watcher seeing it. Mutations made before it (by the page)
+ * are handled right after it, as the watcher would have
+ * @param {Function} write - Changes the page
+ */
+function writeUnwatched(write) {
+    if (!pageObserver) {
+        write();
+        return;
+    }
+    
+    const pageMutations = pageObserver.takeRecords();
+    write();
+    pageObserver.takeRecords();
+    
+    if (pageMutations.length > 0) {
+        handlePageMutations(pageMutations);
+    }
+}
+
+/**
+ * Gets the lines an added element is, is inside of or contains
+ * Adapters without a lineSelector fall back to reading all lines
+ * @param {HTMLElement} element - Element added to the page
+ * @returns {Array} Line elements
+ */
+function findLinesOfElement(element) {
+    const lineSelector = getSiteAdapter().lineSelector;
+    if (!lineSelector) {
+        return getPageLines().filter(function(line) {
+            return element.contains(line);
+        });
+    }
+    
+    const enclosingLine = element.closest(lineSelector);
+    const lines = Array.from(element.querySelectorAll(lineSelector));
+    if (enclosingLine && getMainContainer().contains(enclosingLine)) {
+        lines.push(enclosingLine);
+    }
+    return lines;
+}
+
+/**
+ * Collects the lines a mutation touches: new lines it added, and
+ * the registered line that contains its target
+ * Changes to the counter's own panels and line parts are skipped
+ * @param {MutationRecord} mutation - Observed mutation
+ * @param {Set} newLines - Receives unregistered lines
+ * @param {Set} changedLines - Receives registered lines whose icons may have changed
+ */
+function collectMutatedLines(mutation, newLines, changedLines) {
+    if (isOwnMutation(mutation)) {
+        return;
+    }
+    
+    // Elements added inside a registered line (icons, buttons) can't hold new lines
+    Array.from(mutation.addedNodes).forEach(function(node) {
+        if (node.nodeType !== Node.ELEMENT_NODE || isOwnNode(node) ||
+            findEventLine(node.parentNode || node)) {
+            return;
+        }
+        findLinesOfElement(node).forEach(function(line) {
+            if (getLineIndex(line) === -1) {
+                newLines.add(line);
+            }
+        });
+    });
     
-    // Use innerHTML (same as original HTML) to ensure Font Awesome processes it
-    // This fixes the "square instead of star" bug
-    if (starType === 'full') {
-        tempDiv.innerHTML = `<i class="fa ${CSS_CLASSES.FULL_STAR}"></i>`;
-    } else if (starType === 'half') {
-        tempDiv.innerHTML = `<i class="fa ${CSS_CLASSES.HALF_STAR}"></i>`;
+    const element = findEventLine(mutation.target);
+    if (element) {
+        changedLines.add(element);
     }
-    
-    // Extract and return the icon element
-    return tempDiv.firstElementChild;
 }
 
 /**
- * Finds the insertion point for new stars
- * Stars should be grouped together, before count display and buttons
- * @param {HTMLElement} lineElement - The line element
- * @returns {HTMLElement|null} Element to insert before, or null to append
+ * Handles a batch of mutations from the page observer
+ * The total is updated once per batch, and only if something changed
+ * @param {Array} mutations - Observed mutations
  */
-function findStarInsertionPoint(lineElement) {
-    // Priority: insert before count display or button container
-    const countDisplay = lineElement.querySelector(`.${CSS_CLASSES.STAR_COUNT}`);
-    if (countDisplay) return countDisplay;
+function handlePageMutations(mutations) {
+    const newLines = new Set();
+    const changedLines = new Set();
     
-    const buttonContainer = lineElement.querySelector(`.${CSS_CLASSES.STAR_CONTROLS}`);
-    if (buttonContainer) return buttonContainer;
+    mutations.forEach(function(mutation) {
+        collectMutatedLines(mutation, newLines, changedLines);
+    });
     
-    return null;
+    let totalChanged = newLines.size > 0;
+    
+    newLines.forEach(function(line) {
+        enhanceNewLine(line);
+    });
+    changedLines.forEach(function(line) {
+        if (resyncLine(line)) {
+            totalChanged = true;
+        }
+    });
+    
+    // The page may have put icons out of order, with or without changing the value
+    const checkedLines = Array.from(newLines).concat(Array.from(changedLines));
+    checkedLines.forEach(function(line) {
+        checkLineProblems(line);
+    });
+    
+    if (totalChanged) {
+        refreshAfterChange();
+        reportLineProblems(checkedLines);
+    } else if (checkedLines.length > 0) {
+        updateFixAllButton();
+    }
 }
 
 /**
- * Inserts a star element in the correct position (after existing stars, before count/buttons)
- * @param {HTMLElement} lineElement - Parent line element
- * @param {HTMLElement} starElement - Star icon element to insert
- * @param {HTMLElement|null} insertBefore - Optional element to insert before
+ * Starts watching #main for new lines and for star icons changed by the page
+ * (text changes too, for pages whose stars are plain characters)
  */
-function insertStarElement(lineElement, starElement, insertBefore) {
-    const targetElement = insertBefore || findStarInsertionPoint(lineElement);
+function startPageWatcher() {
+    if (pageObserver || typeof MutationObserver === 'undefined') {
+        return;
+    }
     
-    if (targetElement) {
-        lineElement.insertBefore(starElement, targetElement);
-    } else {
-        lineElement.appendChild(starElement);
+    pageObserver = new MutationObserver(handlePageMutations);
+    pageObserver.observe(getMainContainer(), {
+        childList: true,
+        subtree: true,
+        characterData: true,
+        attributes: true,
+        attributeFilter: ['class']
+    });
+}
+
+/**
+ * Stops watching the page; pending mutations are dropped
+ */
+function stopPageWatcher() {
+    if (!pageObserver) {
+        return;
     }
+    
+    pageObserver.disconnect();
+    pageObserver = null;
 }
 
 // ============================================
-// DISPLAY UPDATES - Line and Total Display
+// TAB SYNC - Live Ratings Across Tabs
 // ============================================
 
 /**
- * Updates the star count display for a single line
- * @param {HTMLElement} lineElement - The line to update
- * @param {Object} starCount - Optional pre-calculated star count (for efficiency)
+ * Sends a message to the other tabs: over BroadcastChannel, or through a
+ * localStorage write (seen by other tabs as a storage event) where it is missing
+ * @param {Object} message - Message to send
  */
-function updateLineDisplay(lineElement, starCount) {
-    const count = starCount || countStarsInLine(lineElement);
+function sendSyncMessage(message) {
+    if (syncChannel) {
+        syncChannel.postMessage(message);
+        return;
+    }
     
-    let countDisplay = lineElement.querySelector(`.${CSS_CLASSES.STAR_COUNT}`);
-    if (!countDisplay) {
-        countDisplay = createCountDisplayElement(lineElement);
+    try {
+        window.localStorage.setItem(TAB_SYNC_STORAGE_KEY, JSON.stringify(message));
+    } catch (error) {
+        console.warn('Could not sync star ratings to other tabs:', error);
+    }
+}
+
+/**
+ * Queues a line's new value for the other tabs, stamped with the time of the change
+ * The queue is sent as one message in the page-wide refresh (see flushSyncChanges)
+ * Changes that came from the page itself or from another tab are not sent on
+ * @param {number} lineIndex - Model index of the line
+ * @param {string} kind - What caused the change
+ */
+function broadcastLineChange(lineIndex, kind) {
+    if (!isTabSyncStarted || kind === 'external' || kind === 'remote') {
+        return;
     }
     
-    countDisplay.textContent = `${count.total} STARS`;
-    countDisplay.style.color = getColorForStarCount(count);
+    const timestamp = Date.now();
+    lineChangeTimes.set(lineIndex, timestamp);
+    setRemoteBadge(registeredLines[lineIndex], null);
+    pendingSyncChanges.set(lineIndex, timestamp);
 }
 
 /**
- * Updates all line displays and returns their star counts
- * @returns {Array} Array of star count objects
+ * Sends the queued line changes to the other tabs in one message
  */
-function updateAllLinesDisplay() {
-    const allLines = document.querySelectorAll(`.${CSS_CLASSES.WRAPPER}`);
-    const starCounts = [];
+function flushSyncChanges() {
+    if (pendingSyncChanges.size === 0) {
+        return;
+    }
     
-    allLines.forEach(function(line) {
-        const starCount = countStarsInLine(line);
-        starCounts.push(starCount);
-        updateLineDisplay(line, starCount);
+    const changes = [];
+    pendingSyncChanges.forEach(function(timestamp, lineIndex) {
+        changes.push({
+            line: getLineStorageId(lineIndex),
+            value: ratingModel.getValue(lineIndex),
+            timestamp: timestamp
+        });
     });
+    pendingSyncChanges.clear();
     
-    return starCounts;
+    sendSyncMessage({
+        page: getStorageKey(),
+        tab: tabId,
+        changes: changes
+    });
 }
 
 /**
- * Calculates total stars from an array of star count objects
- * @param {Array} starCounts - Array of {fullStars, halfStars, total} objects
- * @returns {number} Total star count
+ * Finds a line by its storage id (see getLineStorageId)
+ * The lookup is rebuilt when lines were added since it was last built
+ * @param {string} storageId - Line identifier sent by another tab
+ * @returns {number} Model index of the line, or -1 if this page has no such line
  */
-function calculateTotalFromCounts(starCounts) {
-    return starCounts.reduce(function(sum, count) {
-        return sum + count.total;
-    }, 0);
+function findLineIndexByStorageId(storageId) {
+    if (storageIdLineCount !== registeredLines.length) {
+        lineIndexByStorageId.clear();
+        registeredLines.forEach(function(line, lineIndex) {
+            lineIndexByStorageId.set(getLineStorageId(lineIndex), lineIndex);
+        });
+        storageIdLineCount = registeredLines.length;
+    }
+    
+    const lineIndex = lineIndexByStorageId.get(storageId);
+    return lineIndex === undefined ? -1 : lineIndex;
 }
 
 /**
- * Calculates total stars by querying all lines (fallback method)
- * @returns {number} Total star count
+ * Checks whether an incoming change beats this tab's last change to the line
+ * Last write wins; on equal timestamps the higher tab id wins, so all tabs agree
+ * @param {Object} incoming - {timestamp, tab} of the incoming change
+ * @param {Object} local - {timestamp, tab} of this tab's last change (timestamp 0 if none)
+ * @returns {boolean} True if the incoming change should be applied
  */
-function calculateTotalStars() {
-    const allLines = document.querySelectorAll(`.${CSS_CLASSES.WRAPPER}`);
-    let total = 0;
-    allLines.forEach(function(line) {
-        total += countStarsInLine(line).total;
-    });
-    return total;
+function isNewerChange(incoming, local) {
+    return incoming.timestamp > local.timestamp ||
+        (incoming.timestamp === local.timestamp && incoming.tab > local.tab);
 }
 
 /**
- * Updates the total stars display at the bottom
- * @param {number} total - Optional pre-calculated total (for efficiency)
+ * Shows or removes the "changed in another tab" badge next to a line's count
+ * @param {HTMLElement} lineElement - The line element
+ * @param {number|null} timestamp - Time of the remote change, or null to remove the badge
  */
-function updateTotalDisplay(total) {
-    const calculatedTotal = total !== undefined ? total : calculateTotalStars();
-    getTotalDisplay().textContent = `Total: ${calculatedTotal} STARS`;
+function setRemoteBadge(lineElement, timestamp) {
+    let badge = lineElement.querySelector(`.${CSS_CLASSES.REMOTE_BADGE}`);
+    
+    if (timestamp === null) {
+        if (badge) {
+            badge.remove();
+        }
+        return;
+    }
+    
+    if (!badge) {
+        badge = document.createElement('span');
+        badge.className = CSS_CLASSES.REMOTE_BADGE;
+        const countDisplay = lineElement.querySelector(`.${CSS_CLASSES.STAR_COUNT}`);
+        lineElement.insertBefore(badge, countDisplay ? countDisplay.nextSibling : null);
+    }
+    badge.dataset.timestamp = timestamp; // Kept for relabeling (see updateLocaleLabels)
+    if (badge.textContent !== getMessage('remoteBadge')) {
+        badge.textContent = getMessage('remoteBadge');
+    }
+    badge.title = getMessage('remoteBadgeTitle', { time: new Date(timestamp).toLocaleTimeString(activeLocale.tag) });
 }
 
 /**
- * Updates all displays: lines and total (main update function)
+ * Applies one line change sent by another tab, if it is newer than this tab's
+ * own change and passes this tab's limits and constraints (a rejected change
+ * is reported below the total)
+ * @param {Object} change - {line, value, timestamp}
+ * @param {string} senderTab - Id of the sending tab
+ * @returns {boolean} True if the line changed
  */
-function updateAllDisplays() {
-    const starCounts = updateAllLinesDisplay();
-    const total = calculateTotalFromCounts(starCounts);
-    updateTotalDisplay(total);
+function applyRemoteChange(change, senderTab) {
+    const lineIndex = findLineIndexByStorageId(change.line);
+    const local = { timestamp: lineChangeTimes.get(lineIndex) || 0, tab: tabId };
+    if (lineIndex === -1 || !isNewerChange({ timestamp: change.timestamp, tab: senderTab }, local)) {
+        return false;
+    }
+    
+    const valueBefore = ratingModel.getValue(lineIndex);
+    if (change.value === valueBefore) {
+        lineChangeTimes.set(lineIndex, change.timestamp);
+        return false; // Nothing to change
+    }
+    
+    // A rejected value doesn't count as this line's latest change, so a later one can still win
+    const limits = ratingModel.limits;
+    const violation = ratingModel.isValueAllowed(change.value) ? findConstraintViolation(lineIndex, change.value) :
+        { message: getMessage('outOfLimits', { count: change.value, min: limits.MIN, max: limits.MAX }) };
+    if (violation) {
+        showPageMessage(getMessage('remoteRejected', {
+            line: getLineName(lineIndex),
+            value: change.value,
+            reason: violation.message
+        }));
+        return false;
+    }
+    
+    lineChangeTimes.set(lineIndex, change.timestamp);
+    ratingModel.setValue(lineIndex, change.value);
+    renderLine(registeredLines[lineIndex]);
+    setRemoteBadge(registeredLines[lineIndex], change.timestamp);
+    emitChange(lineIndex, valueBefore, 'remote');
+    return true;
 }
 
-// ============================================
-// STAR MANIPULATION - Add/Remove Logic
-// ============================================
-
 /**
- * Adds a full star to a line, positioned before any half-star
- * @param {HTMLElement} lineElement - The line to modify
+ * Applies the changes sent by another tab showing the same page
+ * The lines are redrawn and marked; history and saved ratings are left alone
+ * (the sending tab saved them already), and the audit log picks up the
+ * sender's entries
+ * @param {Object} message - Incoming message ({page, tab, changes})
  */
-function addFullStar(lineElement) {
-    const currentCount = countStarsInLine(lineElement);
-    
-    if (!isStarChangeAllowed(currentCount.total, 1)) {
-        return; // Would exceed MAX_STARS
+function handleSyncMessage(message) {
+    if (!message || message.tab === tabId || message.page !== getStorageKey() || !Array.isArray(message.changes)) {
+        return; // Our own message, another page, or not a sync message
     }
     
-    // Use helper function to create star (ensures Font Awesome compatibility)
-    const starIcon = createStarIcon('full');
+    let changedCount = 0;
+    message.changes.forEach(function(change) {
+        if (applyRemoteChange(change, message.tab)) {
+            changedCount++;
+        }
+    });
     
-    // Insert before half-star if it exists, otherwise before count/buttons
-    const halfStar = lineElement.querySelector(`.${CSS_CLASSES.HALF_STAR}`);
-    const insertBefore = halfStar || findStarInsertionPoint(lineElement);
-    insertStarElement(lineElement, starIcon, insertBefore);
+    if (changedCount > 0) {
+        mergeSavedAuditLog();
+        refreshAfterChange();
+    }
 }
 
 /**
- * Removes the last full star from a line (maintains visual order)
- * @param {HTMLElement} lineElement - The line to modify
+ * Starts exchanging line changes with other tabs
  */
-function removeFullStar(lineElement) {
-    const currentCount = countStarsInLine(lineElement);
-    
-    if (!isStarChangeAllowed(currentCount.total, -1)) {
-        return; // Would go below MIN_STARS
+function startTabSync() {
+    if (isTabSyncStarted) {
+        return;
     }
     
-    const allFullStars = lineElement.querySelectorAll(`.${CSS_CLASSES.FULL_STAR}`);
-    if (allFullStars.length > 0) {
-        const lastFullStar = allFullStars[allFullStars.length - 1];
-        lastFullStar.remove();
+    if (typeof BroadcastChannel !== 'undefined') {
+        syncChannel = new BroadcastChannel(TAB_SYNC_CHANNEL);
+        syncChannel.addEventListener('message', function(e) {
+            handleSyncMessage(e.data);
+        });
+    } else {
+        window.addEventListener('storage', function(e) {
+            if (e.key !== TAB_SYNC_STORAGE_KEY || !e.newValue) {
+                return;
+            }
+            
+            let message = null;
+            try {
+                message = JSON.parse(e.newValue);
+            } catch (error) {
+                console.warn('Ignoring an unreadable star sync message:', error);
+                return;
+            }
+            handleSyncMessage(message);
+        }, { signal: pageListeners.signal });
     }
+    isTabSyncStarted = true;
 }
 
 /**
- * Adds a half-star to a line with smart merging logic:
- * - If a half-star already exists, merges it with the new one to create a full star
- * - If no half-star exists, adds a new half-star at the end
- * Half-stars always appear last (after all full stars)
- * 
- * @param {HTMLElement} lineElement - The line to modify
+ * Stops exchanging line changes with other tabs (changes still queued are sent first)
  */
-function addHalfStar(lineElement) {
-    const currentCount = countStarsInLine(lineElement);
-    
-    if (!isStarChangeAllowed(currentCount.total, 0.5)) {
-        return; // Would exceed MAX_STARS
+function stopTabSync() {
+    flushSyncChanges();
+    if (syncChannel) {
+        syncChannel.close();
+        syncChannel = null;
     }
-    
-    const existingHalfStar = lineElement.querySelector(`.${CSS_CLASSES.HALF_STAR}`);
-    
-    if (existingHalfStar) {
-        // Merge: remove existing half-star and add a full star
-        existingHalfStar.remove();
-        
-        // Use helper function to create star (ensures Font Awesome compatibility)
-        const fullStarIcon = createStarIcon('full');
-        
-        // Insert after the last full star (before count/buttons)
-        const allFullStars = lineElement.querySelectorAll(`.${CSS_CLASSES.FULL_STAR}`);
-        const insertBefore = findStarInsertionPoint(lineElement);
-        
-        if (allFullStars.length > 0) {
-            // Insert after last full star
-            const lastFullStar = allFullStars[allFullStars.length - 1];
-            const nextSibling = lastFullStar.nextSibling;
-            lineElement.insertBefore(fullStarIcon, nextSibling || insertBefore);
+    isTabSyncStarted = false;
+    lineIndexByStorageId.clear();
+    storageIdLineCount = 0;
+}
+
+// ============================================
+// TEARDOWN - Restoring the Page
+// ============================================
+
+/**
+ * Puts a line's attributes back to their values from before enhancement
+ * @param {HTMLElement} lineElement - A registered line
+ */
+function restoreLineAttributes(lineElement) {
+    originalLineAttributes.get(lineElement).forEach(function(attribute) {
+        if (attribute.value === null) {
+            lineElement.removeAttribute(attribute.name);
         } else {
-            insertStarElement(lineElement, fullStarIcon, insertBefore);
+            lineElement.setAttribute(attribute.name, attribute.value);
         }
-    } else {
-        // Add new half-star at the end (after all full stars)
-        // Use helper function to create star (ensures Font Awesome compatibility)
-        const halfStarIcon = createStarIcon('half');
-        insertStarElement(lineElement, halfStarIcon, findStarInsertionPoint(lineElement));
-    }
+    });
 }
 
 /**
- * Removes a half-star with smart conversion logic:
- * - If a half-star exists, removes it
- * - If no half-star exists (only full stars), converts the last full star into a half-star
+ * Removes everything the counter added and returns the page to how it looked
+ * before enhancement: line order and visibility, attributes, injected elements
+ * and listeners. Saved ratings stay in localStorage (Reset to Original clears them)
  * 
- * @param {HTMLElement} lineElement - The line to modify
+ * @param {Object} options - Optional settings:
+ *   keepEdits - true (default) leaves the edited star icons on the page,
+ *   false redraws each line with its original icons
  */
-function removeHalfStar(lineElement) {
-    const currentCount = countStarsInLine(lineElement);
+function destroyStarCounter(options) {
+    if (!isInstalled) {
+        return;
+    }
+    
+    const keepEdits = !options || options.keepEdits !== false;
     
-    if (!isStarChangeAllowed(currentCount.total, -0.5)) {
-        return; // Would go below MIN_STARS
+    stopPageWatcher();      // Our own clean-up must not look like outside changes
+    stopTabSync();
+    pageListeners.abort();
+    if (refreshFrame !== null) {
+        window.cancelAnimationFrame(refreshFrame);
+        refreshFrame = null;
     }
+    flushAuditLog();        // Entries of the last, cancelled frame
+    previewLine = null;
     
-    const existingHalfStar = lineElement.querySelector(`.${CSS_CLASSES.HALF_STAR}`);
+    // Back to the original order, then drop the position anchors
+    Object.assign(lineView, { sortBy: 'original', filterColor: '', filterMin: null, groupByColor: false });
+    applyLineView();
+    lineAnchors.forEach(function(anchor) {
+        anchor.remove();
+    });
+    lineAnchors.clear();
     
-    if (existingHalfStar) {
-        // Half-star exists: simply remove it
-        existingHalfStar.remove();
-    } else {
-        // No half-star: convert last full star to half-star
-        const allFullStars = lineElement.querySelectorAll(`.${CSS_CLASSES.FULL_STAR}`);
-        
-        if (allFullStars.length > 0) {
-            const lastFullStar = allFullStars[allFullStars.length - 1];
-            // Use helper function to create star (ensures Font Awesome compatibility)
-            const halfStarIcon = createStarIcon('half');
-            
-            // Replace full star with half-star
-            lineElement.insertBefore(halfStarIcon, lastFullStar);
-            lastFullStar.remove();
+    const injectedSelector = [
+        CSS_CLASSES.STAR_COUNT,
+        CSS_CLASSES.STAR_CUE,
+        CSS_CLASSES.REMOTE_BADGE,
+        CSS_CLASSES.FIX_BUTTON,
+        CSS_CLASSES.STAR_CONTROLS
+    ].map(function(className) {
+        return `.${className}`;
+    }).join(', ');
+    
+    registeredLines.forEach(function(line, lineIndex) {
+        clearStarPreview(line);
+        if (!keepEdits && ratingModel.getValue(lineIndex) !== ratingModel.getOriginalValue(lineIndex)) {
+            renderLineStars(line, ratingModel.getOriginalValue(lineIndex));
         }
+        
+        line.querySelectorAll(injectedSelector).forEach(function(element) {
+            element.remove();
+        });
+        restoreLineAttributes(line);
+    });
+    
+    [
+        `#${ELEMENT_IDS.TOTAL_DISPLAY}`,
+        `#${ELEMENT_IDS.LIVE_REGION}`,
+        `#${ELEMENT_IDS.STYLESHEET}`,
+        `.${CSS_CLASSES.PAGE_CONTROLS}`,
+        `.${CSS_CLASSES.AUDIT_LOG_PANEL}`,
+        `.${CSS_CLASSES.SNAPSHOT_PANEL}`,
+        `.${CSS_CLASSES.TOOLBAR}`,
+        `.${CSS_CLASSES.BULK_BAR}`
+    ].forEach(function(selector) {
+        document.querySelectorAll(selector).forEach(function(element) {
+            element.remove();
+        });
+    });
+    
+    Object.keys(eventListeners).forEach(function(eventName) {
+        delete eventListeners[eventName];
+    });
+    initEventDetail = null;
+    selectedLines.clear();
+    auditLog.length = 0;
+    auditLogFilter = '';
+    hasUnsavedAuditEntries = false;
+    snapshots.length = 0;
+    Object.assign(snapshotCompare, { from: null, to: LIVE_PAGE });
+    constraints = null;
+    registeredLines.length = 0;
+    lineIndexByElement.clear();
+    lineProblems.clear();
+    originalLineAttributes.clear();
+    cachedTotalDisplay = null;
+    isInstalled = false;
+    
+    if (window.StarCounter && window.StarCounter.destroy === destroyStarCounter) {
+        delete window.StarCounter;
     }
+    
+    console.log(`✓ Star counter removed${keepEdits ? '' : ', original stars restored'}`);
 }
 
 /**
- * Main handler for star changes (add/remove full or half stars)
- * Validates limits, performs the change, and updates displays
- * 
- * @param {HTMLElement} lineElement - The line to modify
- * @param {number} changeAmount - Amount to change: 1, -1, 0.5, or -0.5
+ * Deals with a copy of the counter that is already running on the page
+ * @param {string} existingInstall - 'replace' (default) or 'reuse'
+ * @returns {boolean} True if the running copy is kept and this one should not start
  */
-function handleStarChange(lineElement, changeAmount) {
-    const currentCount = countStarsInLine(lineElement);
+function handleExistingInstall(existingInstall) {
+    const existing = window.StarCounter;
     
-    if (!isStarChangeAllowed(currentCount.total, changeAmount)) {
-        return; // Change would violate min/max limits
+    if (!existing || typeof existing.destroy !== 'function') {
+        if (document.getElementById(ELEMENT_IDS.TOTAL_DISPLAY)) {
+            console.warn('An older star counter is already on this page. Reload the page before pasting again.');
+            return true;
+        }
+        return false;
     }
     
-    // Perform the appropriate change
-    if (changeAmount === 1) {
-        addFullStar(lineElement);
-    } else if (changeAmount === -1) {
-        removeFullStar(lineElement);
-    } else if (changeAmount === 0.5) {
-        addHalfStar(lineElement);
-    } else if (changeAmount === -0.5) {
-        removeHalfStar(lineElement);
+    if (existingInstall === 'reuse') {
+        existing.refresh();
+        console.log('✓ Star counter already running: kept it and refreshed it from the page');
+        return true;
     }
     
-    // Update displays after change
-    const newCount = countStarsInLine(lineElement);
-    updateLineDisplay(lineElement, newCount);
-    updateTotalDisplay();
+    // Saved ratings are re-applied by the new copy, so the original icons come back first
+    existing.destroy({ keepEdits: false });
+    return false;
 }
 
 // ============================================
-// INTERACTIVE CONTROLS - Buttons & Click Handlers
+// PUBLIC API - window.StarCounter and Events
 // ============================================
 
 /**
- * Creates a styled button element
- * @param {string} text - Button label
- * @param {string} buttonClass - CSS class name
- * @returns {HTMLElement} The created button element
+ * Calls one on() listener; a failing listener is logged and does not stop the others
+ * @param {string} eventName - One of EVENT_NAMES
+ * @param {Function} listener - Listener passed to on()
+ * @param {Object} detail - Event data
  */
-function createButton(text, buttonClass) {
-    const button = document.createElement('button');
-    button.textContent = text;
-    button.className = buttonClass || 'star-button';
-    Object.assign(button.style, BUTTON_STYLES);
-    return button;
+function callEventListener(eventName, listener, detail) {
+    try {
+        listener(detail);
+    } catch (error) {
+        console.error(`StarCounter "${eventName}" listener failed:`, error);
+    }
 }
 
 /**
- * Adds control buttons to a single line
- * Creates four buttons: Remove 1 Star, Add 1 Star, Remove 0.5 Star, Add 0.5 Star
- * 
- * @param {HTMLElement} lineElement - The line to add buttons to
+ * Calls the on() listeners of an event and dispatches it as a DOM CustomEvent on #main
+ * @param {string} eventName - One of EVENT_NAMES
+ * @param {Object} detail - Event data
  */
-function addButtonsToLine(lineElement) {
-    // Skip if buttons already exist
-    if (lineElement.querySelector(`.${CSS_CLASSES.STAR_CONTROLS}`)) {
-        return;
+function emitEvent(eventName, detail) {
+    if (eventName === 'init') {
+        initEventDetail = detail;
     }
-    
-    const buttonContainer = document.createElement('div');
-    buttonContainer.className = CSS_CLASSES.STAR_CONTROLS;
-    buttonContainer.style.marginLeft = '10px';
-    buttonContainer.style.display = 'inline-block';
-    
-    // Create buttons
-    const buttons = [
-        { text: 'Remove 1 Star', change: -1 },
-        { text: 'Add 1 Star', change: 1 },
-        { text: 'Remove 0.5 Star', change: -0.5 },
-        { text: 'Add 0.5 Star', change: 0.5 }
-    ];
-    
-    buttons.forEach(function(buttonConfig) {
-        const button = createButton(buttonConfig.text);
-        
-        button.addEventListener('click', function(e) {
-            e.stopPropagation(); // Prevent line click event (bold toggle)
-            handleStarChange(lineElement, buttonConfig.change);
-        });
-        
-        buttonContainer.appendChild(button);
+    (eventListeners[eventName] || []).slice().forEach(function(listener) {
+        callEventListener(eventName, listener, detail);
     });
     
-    lineElement.appendChild(buttonContainer);
+    const mainContainer = getMainContainer();
+    if (mainContainer) {
+        mainContainer.dispatchEvent(new CustomEvent(`${DOM_EVENT_PREFIX}${eventName}`, { detail: detail }));
+    }
 }
 
 /**
- * Adds control buttons to all lines on the page
+ * Emits a change event for a line that now has a new value, and logs it in the audit log
+ * @param {number} lineIndex - Model index of the line
+ * @param {number} before - Value before the change
+ * @param {string} kind - What caused the change (e.g. 'add-full', 'undo', 'external')
+ * @param {string} source - Optional origin of the change, from CHANGE_SOURCES (defaults to the kind)
  */
-function addButtonsToAllLines() {
-    const allLines = document.querySelectorAll(`.${CSS_CLASSES.WRAPPER}`);
-    allLines.forEach(function(line) {
-        addButtonsToLine(line);
+function emitChange(lineIndex, before, kind, source) {
+    const detail = {
+        line: registeredLines[lineIndex],
+        index: lineIndex,
+        before: before,
+        after: ratingModel.getValue(lineIndex),
+        colorBefore: getColorForStarCount(valueToStarCount(before), ratingModel.rules),
+        colorAfter: ratingModel.getColor(lineIndex),
+        kind: kind,
+        source: source || kind
+    };
+    
+    broadcastLineChange(lineIndex, kind);
+    if (kind !== 'remote') {
+        recordAuditEntry(detail); // Remote changes are in the sending tab's entries (see mergeSavedAuditLog)
+    }
+    emitEvent('change', detail);
+}
+
+/**
+ * Emits a limit-reached event for a change that was blocked
+ * @param {number} lineIndex - Model index of the line
+ * @param {number} attempted - Value the change would have produced
+ * @param {string} kind - What was attempted
+ * @param {Object} violation - Optional broken constraint ({type, message}); the min/max limits otherwise
+ */
+function emitLimitReached(lineIndex, attempted, kind, violation) {
+    emitEvent('limit-reached', {
+        line: registeredLines[lineIndex],
+        index: lineIndex,
+        before: ratingModel.getValue(lineIndex),
+        after: ratingModel.getValue(lineIndex),
+        attempted: attempted,
+        min: ratingModel.limits.MIN,
+        max: ratingModel.limits.MAX,
+        kind: kind,
+        reason: violation ? violation.type : 'limits',
+        message: violation ? violation.message : `${ratingModel.limits.MIN} to ${ratingModel.limits.MAX} stars`
     });
 }
 
 /**
- * Toggles bold style for a line's count display
- * First click makes it bold, second click returns to normal
- * 
- * @param {HTMLElement} lineElement - The line to toggle
+ * Resolves a line given as a model index or a .wrapper element
+ * @param {number|HTMLElement} line - Line index or element
+ * @returns {number} Model index of the line
+ * @throws {Error} If there is no such line
  */
-function toggleBold(lineElement) {
-    const countDisplay = lineElement.querySelector(`.${CSS_CLASSES.STAR_COUNT}`);
-    if (!countDisplay) {
-        return;
-    }
-    
-    const currentWeight = window.getComputedStyle(countDisplay).fontWeight;
-    const isBold = currentWeight === 'bold' || 
-                  currentWeight === '700' || 
-                  (parseInt(currentWeight) >= 700);
+function resolveLineIndex(line) {
+    const lineIndex = typeof line === 'number' ? line : getLineIndex(line);
     
-    countDisplay.style.fontWeight = isBold ? 'normal' : 'bold';
+    if (!Number.isInteger(lineIndex) || lineIndex < 0 || lineIndex >= registeredLines.length) {
+        throw new Error(`StarCounter: unknown line ${line}`);
+    }
+    return lineIndex;
 }
 
 /**
- * Attaches click handlers to all lines for bold toggling
- * Uses data attribute to prevent duplicate handlers
+ * Checks an event name passed to on()/off()
+ * @param {string} eventName - Event name
+ * @throws {Error} If the event does not exist
  */
-function attachClickHandlers() {
-    const allLines = document.querySelectorAll(`.${CSS_CLASSES.WRAPPER}`);
-    
-    allLines.forEach(function(line) {
-        if (line.dataset.clickHandlerAttached === 'true') {
-            return; // Handler already attached
+function assertEventName(eventName) {
+    if (EVENT_NAMES.indexOf(eventName) === -1) {
+        throw new Error(`StarCounter: unknown event "${eventName}" (available: ${EVENT_NAMES.join(', ')})`);
+    }
+}
+
+/**
+ * Re-reads the page: enhances lines that are not registered yet, resyncs
+ * star icons changed outside the counter, and redraws all displays
+ */
+function refreshFromPage() {
+    getPageLines().forEach(function(line) {
+        if (getLineIndex(line) === -1) {
+            enhanceNewLine(line);
         }
-        
-        line.dataset.clickHandlerAttached = 'true';
-        line.addEventListener('click', function() {
-            toggleBold(line);
-        });
-        line.style.cursor = 'pointer';
     });
+    registeredLines.forEach(function(line) {
+        resyncLine(line);
+    });
+    updateAllDisplays();
+}
+
+/**
+ * Creates the window.StarCounter API
+ * Lines can be given as a model index (0-based, original page order) or a .wrapper element
+ * @returns {Object} Public API
+ */
+function createPublicApi() {
+    return {
+        /**
+         * @returns {Array} One {index, label, fullStars, halfStars, total, color} object per line
+         */
+        getRatings: function() {
+            return getExportRows();
+        },
+        
+        /**
+         * @param {number|HTMLElement} line - Line index or element
+         * @returns {Object} {index, label, fullStars, halfStars, total, color}
+         */
+        getRating: function(line) {
+            return getExportRows()[resolveLineIndex(line)];
+        },
+        
+        /**
+         * @param {number|HTMLElement} line - Line index or element
+         * @param {number} value - New rating value (in steps of the active rules)
+         * @returns {boolean} True if applied; false if outside the limits (limit-reached is emitted)
+         */
+        setRating: function(line, value) {
+            const lineIndex = resolveLineIndex(line);
+            if (!Number.isFinite(value) || !isValueOnStep(value, ratingModel.rules)) {
+                throw new Error(`StarCounter: ${value} is not a value in steps of ${ratingModel.rules.step}`);
+            }
+            return ratingModel.getValue(lineIndex) === value ||
+                   handleStarSet(registeredLines[lineIndex], value, 'api', CHANGE_SOURCES.API);
+        },
+        
+        /**
+         * @param {number|HTMLElement} line - Line index or element
+         * @param {number} delta - Amount to add (negative to remove)
+         * @returns {boolean} True if applied; false if outside the limits (limit-reached is emitted)
+         */
+        adjust: function(line, delta) {
+            const lineIndex = resolveLineIndex(line);
+            if (!Number.isFinite(delta)) {
+                throw new Error(`StarCounter: ${delta} is not a number`);
+            }
+            return handleStarChange(registeredLines[lineIndex], delta, CHANGE_SOURCES.API);
+        },
+        
+        refresh: refreshFromPage,
+        
+        /**
+         * Stops enhancing lines added later and following star changes made by the page
+         * (refresh() still reads the page on demand)
+         */
+        stopWatching: stopPageWatcher,
+        
+        /**
+         * @param {string} name - Optional snapshot name (a snapshot with the same name is replaced)
+         * @returns {Object} The snapshot: {name, takenAt, total, lines}
+         */
+        takeSnapshot: takeSnapshot,
+        
+        /**
+         * @returns {Array} Snapshot names, oldest first
+         */
+        getSnapshots: function() {
+            return snapshots.map(function(snapshot) {
+                return snapshot.name;
+            });
+        },
+        
+        /**
+         * @param {string} fromName - Snapshot name
+         * @param {string} toName - Snapshot name, or omitted for the live page
+         * @returns {Object} {lines, totalBefore, totalAfter, totalDelta} (see diffSnapshotLines)
+         */
+        compareSnapshots: function(fromName, toName) {
+            return diffSnapshotLines(getSnapshotLines(fromName), getSnapshotLines(toName || LIVE_PAGE));
+        },
+        
+        /**
+         * @param {string} name - Snapshot name
+         * @returns {Object} {applied, rejected} (see revertToSnapshot)
+         */
+        revertToSnapshot: revertToSnapshot,
+        
+        /**
+         * @returns {Array} Audit log entries, oldest first (see recordAuditEntry)
+         */
+        getAuditLog: function() {
+            return auditLog.map(function(entry) {
+                return Object.assign({}, entry);
+            });
+        },
+        
+        /**
+         * @param {Object} options - {keepEdits: false} to also restore the original star icons
+         */
+        destroy: destroyStarCounter,
+        
+        /**
+         * @param {Object|null} config - {budget, colors: {<color>: {min, max}}}, or null to turn constraints off
+         */
+        setConstraints: setConstraints,
+        
+        /**
+         * @param {string} themeKey - 'dark', 'light' or 'highContrast'
+         */
+        setTheme: setTheme,
+        
+        /**
+         * @param {boolean} enabled - True to show shape and label cues next to each count
+         */
+        setColorBlindMode: setColorBlindMode,
+        
+        /**
+         * @param {string} localeTag - UI language, e.g. 'en', 'he' or 'he-IL'
+         */
+        setLocale: setLocale,
+        
+        /**
+         * window.StarCounter only exists once init has run, so an 'init' listener
+         * is called right away with the init detail (init happens once per install)
+         * @param {string} eventName - 'change', 'limit-reached' or 'init'
+         * @param {Function} listener - Called with the event detail
+         */
+        on: function(eventName, listener) {
+            assertEventName(eventName);
+            if (eventName === 'init' && initEventDetail) {
+                callEventListener(eventName, listener, initEventDetail);
+                return;
+            }
+            eventListeners[eventName] = eventListeners[eventName] || [];
+            eventListeners[eventName].push(listener);
+        },
+        
+        /**
+         * @param {string} eventName - 'change', 'limit-reached' or 'init'
+         * @param {Function} listener - A listener passed to on()
+         */
+        off: function(eventName, listener) {
+            assertEventName(eventName);
+            eventListeners[eventName] = (eventListeners[eventName] || []).filter(function(registered) {
+                return registered !== listener;
+            });
+        }
+    };
 }
 
 // ============================================
@@ -588,22 +6681,118 @@ function attachClickHandlers() {
 /**
  * Main initialization function
  * Sets up all functionality: displays, handlers, and controls
+ * 
+ * @param {Object} options - Optional settings:
+ *   rules - preset key from RULE_PRESETS or a rules config (see createRules)
+ *   adapter - 'auto' (default), a key from SITE_ADAPTERS or a custom site adapter
+ *   theme - key from THEMES (defaults to the last choice, then 'dark')
+ *   colorBlind - true to show shape and label cues next to each count
+ *   locale - UI language as a locale tag, e.g. 'he' or 'en-US' (defaults to the last
+ *     choice, then the page's lang attribute, then the browser language, then 'en')
+ *   constraints - {budget, colors: {<color>: {min, max}}} to cap the total stars
+ *     and the number of lines per color (see createConstraints)
+ *   existingInstall - what to do when the counter is already running on the page:
+ *     'replace' (default) removes it first, 'reuse' keeps it and only refreshes it
+ * @throws {Error} If the rules, constraints or locale are invalid
  */
-function initializeStarCounter() {
-    const allLines = document.querySelectorAll(`.${CSS_CLASSES.WRAPPER}`);
+function initializeStarCounter(options) {
+    const settings = options || {};
+    const rules = resolveRules(settings.rules); // Fail before touching the page
+    const adapter = resolveSiteAdapter(settings.adapter);
+    const activeConstraints = settings.constraints ? createConstraints(settings.constraints) : null;
+    initDisplaySettings(settings);
+    
+    if (handleExistingInstall(settings.existingInstall)) {
+        return;
+    }
+    
+    siteAdapter = adapter;
+    constraints = activeConstraints;
+    cachedMainContainer = null;
+    pageDirection = readPageDirection();
+    const allLines = getPageLines();
     
     if (allLines.length === 0) {
-        console.warn('No star lines found. Make sure the HTML page is loaded and stars are created.');
+        console.warn(`No star lines found (${adapter.name} layout). Make sure the HTML page is loaded and stars are created.`);
         return;
     }
     
     // Initialize all features
+    registerAllLines(rules);    // Build the rating model from the page icons
+    const restoredLines = restoreSavedRatings();  // Re-apply ratings saved earlier
+    loadAuditLog();             // Changes logged in earlier visits
+    attachAuditLogFlush();      // Save the last changes when the page is left
+    loadSnapshots();            // Snapshots taken in earlier visits
+    loadConstraints();          // Constraints set in earlier visits (unless given as an option)
+    updateStylesheet();         // Inject the stylesheet with the chosen theme
     updateAllDisplays();        // Count and display stars with colors
-    attachClickHandlers();      // Enable click-to-toggle-bold
-    addButtonsToAllLines();     // Add control buttons
+    registeredLines.forEach(function(line) {
+        checkLineProblems(line);  // Malformed lines get a "Fix" button
+    });
+    setupAllLineAccessibility(); // Lines become sliders for keyboard and screen-reader users
+    attachDelegatedHandlers();  // Clicks, keys and hover preview, for all lines at once
+    addButtonsToAllLines();     // Add control buttons (on first hover or focus on large pages)
+    addHistoryControls();       // Add Undo/Redo buttons below the total
+    attachHistoryKeyHandler();  // Enable Ctrl+Z / Ctrl+Shift+Z
+    addPageButton('reset', CSS_CLASSES.RESET_BUTTON, resetToOriginal);
+    addPageButton('export', CSS_CLASSES.EXPORT_BUTTON, exportRatings);
+    addPageButton('import', CSS_CLASSES.IMPORT_BUTTON, importRatings);
+    addFixAllButton();          // Repairs every malformed line (shown only when needed)
+    addSnapshotPanel();         // Snapshots and compare view, below the page controls
+    addAuditLogPanel();         // Log of every change, below the page controls
+    addSettingsPanel();         // Preset selector for the rating rules
+    addThemeControls();         // Theme selector and color-blind cues
+    addLineViewToolbar();       // Sort/filter/group toolbar above #main
+    addBulkActionBar();         // Selection mode and bulk changes
+    startPageWatcher();         // Enhance lines added later, resync outside changes
+    startTabSync();             // Share line changes with other tabs on this page
+    
+    if (restoredLines.length > 0) {
+        console.log(`↺ Restored saved ratings for line(s): ${restoredLines.join(', ')}`);
+    }
+    reportLineProblems(registeredLines);
     
-    console.log(`✓ Star counter initialized: ${allLines.length} lines processed`);
+    isInstalled = true;
+    window.StarCounter = createPublicApi();
+    emitEvent('init', {
+        lineCount: registeredLines.length,
+        total: ratingModel.getTotal(),
+        ratings: getExportRows()
+    });
+    
+    console.log(`✓ Star counter initialized: ${allLines.length} lines processed (${siteAdapter.name} stars)`);
 }
 
-// Auto-initialize when pasted into console
-initializeStarCounter();
\ No newline at end of file
+// Auto-initialize when pasted into console (options can be set beforehand in
+// window.starCounterOptions); in Node, expose the rating logic instead
+// (the line helpers take the page's document or elements, see star-report.js)
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = {
+        STAR_LIMITS,
+        COLORS,
+        RULE_PRESETS,
+        SITE_ADAPTERS,
+        EXPORT_FIELDS,
+        RatingModel,
+        calculateStatistics,
+        calculateTotalFromCounts,
+        countStarsInLine,
+        createConstraints,
+        createRules,
+        diffSnapshotLines,
+        getColorForStarCount,
+        getLabelForStarCount,
+        getLineLabel,
+        isNewerChange,
+        isStarChangeAllowed,
+        parseCsv,
+        parseImportFile,
+        resolveRules,
+        resolveSiteAdapter,
+        rowsToCsv,
+        valueToStarCount
+    };
+} else {
+    initializeStarCounter(window.starCounterOptions);
+}
+})();
\ No newline at end of file
@@ -0,0 +1,271 @@
+#!/usr/bin/env node
+/**
+ * Star Report - Command-Line Version
+ * 
+ * Counts the stars on saved HTML rating pages without a browser, using the
+ * same counting and color logic as solution.js:
+ * - Per-line full/half stars, total and color
+ * - Total per file (and over all files)
+ * - Output as a table, JSON or CSV
+ * - Exit code 1 when any line is outside the star limits
+ * 
+ * Usage: node star-report.js [options] <file.html> [more files...]
+ *   --format table|json|csv   Output format (default: table)
+ *   --rules <preset>          Rules preset from RULE_PRESETS (default: default)
+ *   --adapter <key>           Site adapter: auto (default), fontAwesome4, fontAwesome5, svg, text
+ * 
+ * Needs jsdom to parse the pages (declared in package.json: run npm install first);
+ * also available as npm run report -- <options> <files>
+ */
+
+const fs = require('fs');
+const starCounter = require('./solution.js');
+
+// ============================================
+// CONSTANTS - Configuration Values
+// ============================================
+
+const OUTPUT_FORMATS = ['table', 'json', 'csv'];
+
+const EXIT_CODES = {
+    OK: 0,
+    LIMITS_BROKEN: 1,
+    USAGE_ERROR: 2
+};
+
+// CSV columns: the export fields of solution.js, with the file and limit check added
+const REPORT_FIELDS = ['file'].concat(starCounter.EXPORT_FIELDS, ['withinLimits']);
+
+const TABLE_COLUMNS = [
+    { title: 'Line', field: 'index' },
+    { title: 'Label', field: 'label' },
+    { title: 'Full', field: 'fullStars' },
+    { title: 'Half', field: 'halfStars' },
+    { title: 'Total', field: 'total' },
+    { title: 'Color', field: 'color' },
+    { title: 'Limits', field: 'withinLimits' }
+];
+
+const USAGE = `Usage: node star-report.js [--format table|json|csv] [--rules <preset>] [--adapter <key>] <file.html>...`;
+
+// ============================================
+// ARGUMENTS
+// ============================================
+
+/**
+ * Throws an error that is reported with the usage line
+ * @param {string} problem - What is wrong with the arguments
+ */
+function failUsage(problem) {
+    const error = new Error(problem);
+    error.isUsageError = true;
+    throw error;
+}
+
+/**
+ * Parses the command-line arguments
+ * @param {Array} args - Arguments after the script name
+ * @returns {Object} {files, format, rules, adapter}
+ * @throws {Error} If an option is unknown or has no value
+ */
+function parseArguments(args) {
+    const options = { files: [], format: 'table', rules: 'default', adapter: 'auto' };
+    
+    for (let i = 0; i < args.length; i++) {
+        const arg = args[i];
+        
+        if (arg === '--format' || arg === '--rules' || arg === '--adapter') {
+            if (i + 1 >= args.length) {
+                failUsage(`${arg} needs a value`);
+            }
+            options[arg.slice(2)] = args[++i];
+        } else if (arg.startsWith('--')) {
+            failUsage(`unknown option ${arg}`);
+        } else {
+            options.files.push(arg);
+        }
+    }
+    
+    if (OUTPUT_FORMATS.indexOf(options.format) === -1) {
+        failUsage(`--format must be one of ${OUTPUT_FORMATS.join(', ')}`);
+    }
+    if (options.files.length === 0) {
+        failUsage('no HTML files given');
+    }
+    return options;
+}
+
+// ============================================
+// REPORT - Counting the Lines of a Page
+// ============================================
+
+/**
+ * Loads jsdom, which is not bundled with this script
+ * @returns {Function} The JSDOM class
+ */
+function loadJsdom() {
+    try {
+        return require('jsdom').JSDOM;
+    } catch (error) {
+        failUsage('jsdom is required to read HTML files (run npm install in this folder)');
+    }
+}
+
+/**
+ * Counts every line of one HTML file
+ * The solution.js helpers are given this file's document (and its elements),
+ * so nothing global is pointed at it
+ * 
+ * @param {string} file - Path to the HTML file
+ * @param {Object} options - Parsed options ({rules, adapter})
+ * @param {Function} JSDOM - The JSDOM class
+ * @returns {Object} {file, adapter, lines, total, brokenLines}
+ */
+function reportFile(file, options, JSDOM) {
+    const dom = new JSDOM(fs.readFileSync(file, 'utf8'));
+    const pageDocument = dom.window.document;
+    
+    const rules = starCounter.resolveRules(options.rules);
+    const limits = { MIN: rules.min, MAX: rules.max };
+    const adapter = starCounter.resolveSiteAdapter(options.adapter, pageDocument);
+    const container = adapter.findContainer(pageDocument);
+    const lineElements = container ? adapter.findLines(container) : [];
+    
+    const starCounts = lineElements.map(function(line) {
+        if (adapter.prepareLine) {
+            adapter.prepareLine(line); // e.g. keeps text stars out of the label
+        }
+        return starCounter.countStarsInLine(line, adapter);
+    });
+    const lines = lineElements.map(function(line, lineIndex) {
+        const starCount = starCounts[lineIndex];
+        
+        return {
+            file: file,
+            index: lineIndex,
+            label: starCounter.getLineLabel(line),
+            fullStars: starCount.fullStars,
+            halfStars: starCount.halfStars,
+            total: starCount.total,
+            color: starCounter.getColorForStarCount(starCount, rules),
+            withinLimits: starCounter.isStarChangeAllowed(starCount.total, 0, limits)
+        };
+    });
+    
+    dom.window.close();
+    
+    return {
+        file: file,
+        adapter: adapter.name,
+        lines: lines,
+        total: starCounter.calculateTotalFromCounts(starCounts),
+        brokenLines: lines.filter(function(line) {
+            return !line.withinLimits;
+        }).length
+    };
+}
+
+// ============================================
+// OUTPUT - Table, JSON and CSV
+// ============================================
+
+/**
+ * Formats one file's report as a plain-text table
+ * @param {Object} report - Report from reportFile
+ * @returns {string} Table text
+ */
+function formatTable(report) {
+    const rows = report.lines.map(function(line) {
+        return TABLE_COLUMNS.map(function(column) {
+            if (column.field === 'withinLimits') {
+                return line.withinLimits ? 'ok' : 'OUT OF LIMITS';
+            }
+            return String(line[column.field]);
+        });
+    });
+    const header = TABLE_COLUMNS.map(function(column) {
+        return column.title;
+    });
+    const widths = header.map(function(title, columnIndex) {
+        return Math.max.apply(null, [title.length].concat(rows.map(function(row) {
+            return row[columnIndex].length;
+        })));
+    });
+    const formatRow = function(cells) {
+        return cells.map(function(cell, columnIndex) {
+            return cell.padEnd(widths[columnIndex]);
+        }).join('  ').trimEnd();
+    };
+    
+    return [
+        `${report.file} (${report.adapter} stars)`,
+        formatRow(header),
+        formatRow(widths.map(function(width) {
+            return '-'.repeat(width);
+        }))
+    ].concat(rows.map(formatRow), [
+        `Total: ${report.total} STARS` +
+        (report.brokenLines > 0 ? ` (${report.brokenLines} line(s) out of limits)` : '')
+    ]).join('\n');
+}
+
+/**
+ * Formats all reports in the requested output format
+ * @param {Array} reports - Reports from reportFile
+ * @param {string} format - 'table', 'json' or 'csv'
+ * @returns {string} Output text
+ */
+function formatReports(reports, format) {
+    const grandTotal = starCounter.calculateTotalFromCounts(reports);
+    
+    if (format === 'json') {
+        return JSON.stringify({ files: reports, total: grandTotal }, null, 2);
+    }
+    
+    if (format === 'csv') {
+        const rows = reports.reduce(function(allRows, report) {
+            return allRows.concat(report.lines);
+        }, []);
+        return starCounter.rowsToCsv(rows, REPORT_FIELDS);
+    }
+    
+    const tables = reports.map(formatTable);
+    if (reports.length > 1) {
+        tables.push(`All files: ${grandTotal} STARS`);
+    }
+    return tables.join('\n\n');
+}
+
+// ============================================
+// MAIN
+// ============================================
+
+/**
+ * Runs the report and returns the exit code
+ * @param {Array} args - Arguments after the script name
+ * @returns {number} One of EXIT_CODES
+ */
+function main(args) {
+    try {
+        const options = parseArguments(args);
+        const JSDOM = loadJsdom();
+        const reports = options.files.map(function(file) {
+            return reportFile(file, options, JSDOM);
+        });
+        
+        console.log(formatReports(reports, options.format));
+        
+        const hasBrokenLines = reports.some(function(report) {
+            return report.brokenLines > 0;
+        });
+        return hasBrokenLines ? EXIT_CODES.LIMITS_BROKEN : EXIT_CODES.OK;
+    } catch (error) {
+        console.error(`star-report: ${error.message}`);
+        if (error.isUsageError) {
+            console.error(USAGE);
+        }
+        return EXIT_CODES.USAGE_ERROR;
+    }
+}
+
+process.exitCode = main(process.argv.slice(2));
@@ -0,0 +1,352 @@
+/**
+ * Unit tests for the rating logic of solution.js, run in Node without a browser:
+ * - RatingModel: limits, running total, color counts, reset
+ * - createRules: validation of rules configurations
+ * - createConstraints: validation of star budget and color quota configurations
+ * - countStarsInLine: reading stars from a line (parsed with jsdom)
+ * - rowsToCsv, parseCsv and parseImportFile: export and import files
+ * - diffSnapshotLines: comparing two snapshots of the lines
+ * - isNewerChange: which of two tabs' changes to a line wins
+ * 
+ * Run with: npm test
+ */
+
+const test = require('node:test');
+const assert = require('node:assert');
+const { JSDOM } = require('jsdom');
+const starCounter = require('../solution.js');
+
+const { RatingModel, RULE_PRESETS, SITE_ADAPTERS, EXPORT_FIELDS, createRules, createConstraints, countStarsInLine,
+        rowsToCsv, parseCsv, parseImportFile, diffSnapshotLines,
+        isNewerChange } = starCounter;
+
+/**
+ * Parses one line of markup into an element of its own document
+ * @param {string} html - Markup of the line's contents
+ * @returns {HTMLElement} The line element
+ */
+function createLine(html) {
+    const dom = new JSDOM(`<div id="main"><div class="wrapper">${html}</div></div>`);
+    return dom.window.document.querySelector('.wrapper');
+}
+
+/**
+ * Builds a model with the given line values
+ * @param {Array} values - Initial line values
+ * @param {Object} rules - Optional validated rules (defaults to the default preset)
+ * @returns {RatingModel} The model
+ */
+function createModel(values, rules) {
+    const model = new RatingModel(rules);
+    values.forEach(function(value) {
+        model.addLine(value);
+    });
+    return model;
+}
+
+// ============================================
+// RATING MODEL
+// ============================================
+
+test('RatingModel keeps a running total and counts lines per color', function() {
+    const model = createModel([2, 3.5, 1, 5]);
+    
+    assert.strictEqual(model.size(), 4);
+    assert.strictEqual(model.getTotal(), 11.5);
+    assert.strictEqual(model.getColor(0), 'red');
+    assert.strictEqual(model.getColor(1), 'green');
+    assert.strictEqual(model.getColor(3), 'yellow');
+    assert.strictEqual(model.getColorCount('red'), 2);
+    assert.strictEqual(model.getColorCount('green'), 1);
+    assert.strictEqual(model.getColorCount('yellow'), 1);
+});
+
+test('RatingModel changes values within the limits only', function() {
+    const model = createModel([1, 5]);
+    
+    assert.strictEqual(model.change(0, -0.5), false);
+    assert.strictEqual(model.change(1, 0.5), false);
+    assert.strictEqual(model.change(0, 1.5), true);
+    assert.strictEqual(model.getValue(0), 2.5);
+    assert.strictEqual(model.setValue(1, 7), false);
+    assert.strictEqual(model.setValue(1, 3), true);
+    assert.strictEqual(model.getTotal(), 5.5);
+    assert.strictEqual(model.getColorCount('green'), 1);
+    assert.strictEqual(model.getColorCount('yellow'), 1);
+});
+
+test('RatingModel avoids floating point drift in the total', function() {
+    const model = createModel([1], createRules(RULE_PRESETS.tenthStars));
+    
+    for (let i = 0; i < 7; i++) {
+        model.change(0, 0.1);
+    }
+    assert.strictEqual(model.getValue(0), 1.7);
+    assert.strictEqual(model.getTotal(), 1.7);
+});
+
+test('RatingModel restores values outside the limits and resets to the original values', function() {
+    const model = createModel([2, 4]);
+    
+    model.restoreValue(0, 0);
+    model.setValue(1, 4.5);
+    assert.strictEqual(model.getTotal(), 4.5);
+    
+    model.resetToOriginal();
+    assert.deepStrictEqual([model.getValue(0), model.getValue(1)], [2, 4]);
+    assert.strictEqual(model.getTotal(), 6);
+    assert.strictEqual(model.getColorCount('green'), 0);
+});
+
+test('RatingModel recolors its lines when the rules change', function() {
+    const model = createModel([3, 4]);
+    assert.strictEqual(model.getColorCount('yellow'), 2);
+    
+    model.setRules(createRules(RULE_PRESETS.wholeStars));
+    assert.strictEqual(model.getColor(0), 'yellow');
+    assert.strictEqual(model.getColor(1), 'green');
+    assert.strictEqual(model.getLabel(1), 'HIGH');
+});
+
+// ============================================
+// RULES
+// ============================================
+
+test('createRules accepts every preset and fills in the button steps', function() {
+    Object.keys(RULE_PRESETS).forEach(function(key) {
+        assert.ok(createRules(RULE_PRESETS[key]).buttonSteps.length > 0, key);
+    });
+    assert.deepStrictEqual(createRules(RULE_PRESETS.default).buttonSteps, [1, 0.5]);
+    assert.deepStrictEqual(createRules(RULE_PRESETS.wholeStars).buttonSteps, [1]);
+});
+
+test('createRules rejects invalid configurations', function() {
+    const valid = RULE_PRESETS.wholeStars;
+    const invalidConfigs = [
+        null,
+        Object.assign({}, valid, { min: 5, max: 1 }),
+        Object.assign({}, valid, { step: 0.3 }),
+        Object.assign({}, valid, { max: 5.5 }),
+        Object.assign({}, valid, { buttonSteps: [0.5] }),
+        Object.assign({}, valid, { conditions: [] }),
+        Object.assign({}, valid, { conditions: [{ type: 'range', max: 2, color: 'red' }] })
+    ];
+    
+    invalidConfigs.forEach(function(config) {
+        assert.throws(function() {
+            createRules(config);
+        }, /^Error: Invalid star rules: /);
+    });
+});
+
+test('createRules copies the configuration', function() {
+    const config = JSON.parse(JSON.stringify(RULE_PRESETS.wholeStars));
+    const rules = createRules(config);
+    
+    config.conditions[0].color = 'blue';
+    assert.strictEqual(rules.conditions[0].color, 'red');
+});
+
+// ============================================
+// CONSTRAINTS
+// ============================================
+
+test('createConstraints normalizes a budget and color quotas', function() {
+    assert.deepStrictEqual(createConstraints({ budget: 12.5 }), { budget: 12.5, colors: {} });
+    assert.deepStrictEqual(createConstraints({ colors: { green: { max: 2 }, red: { min: 0, max: 0 } } }), {
+        budget: null,
+        colors: { green: { min: null, max: 2 }, red: { min: 0, max: 0 } }
+    });
+    assert.deepStrictEqual(createConstraints({ budget: 0, colors: { yellow: { min: 1 } } }), {
+        budget: 0,
+        colors: { yellow: { min: 1, max: null } }
+    });
+});
+
+test('createConstraints rejects invalid configurations', function() {
+    const invalidConfigs = [
+        null,
+        'budget: 10',
+        {},
+        { budget: -1 },
+        { budget: '10' },
+        { budget: Infinity },
+        { colors: {} },
+        { colors: { green: {} } },
+        { colors: { green: { max: 1.5 } } },
+        { colors: { green: { min: -1 } } },
+        { colors: { green: { min: 3, max: 2 } } }
+    ];
+    
+    invalidConfigs.forEach(function(config) {
+        assert.throws(function() {
+            createConstraints(config);
+        }, /^Error: Invalid star constraints: /, JSON.stringify(config));
+    });
+});
+
+test('createConstraints copies the configuration', function() {
+    const config = { budget: 10, colors: { green: { max: 2 } } };
+    const constraints = createConstraints(config);
+    
+    config.budget = 20;
+    config.colors.green.max = 5;
+    assert.strictEqual(constraints.budget, 10);
+    assert.strictEqual(constraints.colors.green.max, 2);
+});
+
+// ============================================
+// COUNTING
+// ============================================
+
+test('countStarsInLine counts full and half Font Awesome stars', function() {
+    const line = createLine('Alpha <i class="fa fa-star"></i><i class="fa fa-star"></i><i class="fa fa-star-half-o"></i>');
+    const count = countStarsInLine(line, SITE_ADAPTERS.fontAwesome4);
+    
+    assert.strictEqual(count.fullStars, 2);
+    assert.strictEqual(count.halfStars, 1);
+    assert.strictEqual(count.total, 2.5);
+});
+
+test('countStarsInLine counts plain text stars with the text adapter', function() {
+    const line = createLine('Beta ★★★½');
+    const count = countStarsInLine(line, SITE_ADAPTERS.text);
+    
+    assert.strictEqual(count.fullStars, 3);
+    assert.strictEqual(count.halfStars, 1);
+    assert.strictEqual(count.total, 3.5);
+});
+
+test('countStarsInLine adds partially filled stars', function() {
+    const line = createLine('<i class="fa fa-star"></i><i class="star-partial" data-fraction="0.25"></i>');
+    const count = countStarsInLine(line, SITE_ADAPTERS.fontAwesome4);
+    
+    assert.strictEqual(count.partialStars, 1);
+    assert.strictEqual(count.total, 1.25);
+});
+
+// ============================================
+// EXPORT AND IMPORT FILES
+// ============================================
+
+test('rowsToCsv and parseCsv round-trip rows, quoting labels with commas, quotes and line breaks', function() {
+    const rows = [
+        { index: 0, label: 'Alpha', fullStars: 2, halfStars: 1, total: 2.5, color: 'green' },
+        { index: 1, label: 'Beta, "the second"', fullStars: 3, halfStars: 0, total: 3, color: 'yellow' },
+        { index: 2, label: 'Two\nlines', fullStars: 1, halfStars: 0, total: 1, color: 'red' }
+    ];
+    const csv = rowsToCsv(rows);
+    
+    assert.strictEqual(csv.split('\r\n')[0], EXPORT_FIELDS.join(','));
+    assert.ok(csv.includes('"Beta, ""the second"""'));
+    assert.deepStrictEqual(parseCsv(csv), rows.map(function(row) {
+        const textRow = {};
+        EXPORT_FIELDS.forEach(function(field) {
+            textRow[field] = String(row[field]);
+        });
+        return textRow;
+    }));
+});
+
+test('parseCsv trims the header, skips blank lines and reads LF and CRLF line ends', function() {
+    const rows = parseCsv(' index , total\n0,3\r\n\n, \r\n1,4.5');
+    
+    assert.deepStrictEqual(rows, [
+        { index: '0', total: '3' },
+        { index: '1', total: '4.5' }
+    ]);
+});
+
+test('parseCsv keeps bad rows as they are, for the import checks to reject', function() {
+    const rows = parseCsv('index,total\n0\n1,2,extra\n2,"unclosed, 3');
+    
+    assert.deepStrictEqual(rows, [
+        { index: '0', total: undefined },
+        { index: '1', total: '2' },
+        { index: '2', total: 'unclosed, 3' }
+    ]);
+    assert.deepStrictEqual(parseCsv(''), []);
+});
+
+test('parseImportFile reads exported JSON, plain JSON arrays and CSV', function() {
+    const rows = [{ index: 0, total: 3 }];
+    
+    assert.deepStrictEqual(parseImportFile(JSON.stringify({ total: 3, lines: rows })), rows);
+    assert.deepStrictEqual(parseImportFile(JSON.stringify({ total: 3 })), []);
+    assert.deepStrictEqual(parseImportFile(`  ${JSON.stringify(rows)}\n`), rows);
+    assert.deepStrictEqual(parseImportFile('index,total\n0,3\n'), [{ index: '0', total: '3' }]);
+    assert.throws(function() {
+        parseImportFile('{"lines": [');
+    }, SyntaxError);
+});
+
+// ============================================
+// SNAPSHOTS
+// ============================================
+
+test('diffSnapshotLines lists only the changed lines and the change in the total', function() {
+    const fromLines = [
+        { index: 0, label: 'A', total: 3, color: 'yellow' },
+        { index: 1, label: 'B', total: 2, color: 'red' },
+        { index: 2, label: 'C', total: 4.5, color: 'green' }
+    ];
+    const toLines = [
+        { index: 0, label: 'A', total: 3, color: 'yellow' },
+        { index: 1, label: 'B', total: 3.5, color: 'yellow' },
+        { index: 2, label: 'C', total: 4, color: 'green' }
+    ];
+    
+    assert.deepStrictEqual(diffSnapshotLines(fromLines, toLines), {
+        lines: [
+            { index: 1, label: 'B', before: 2, after: 3.5, delta: 1.5, colorBefore: 'red', colorAfter: 'yellow' },
+            { index: 2, label: 'C', before: 4.5, after: 4, delta: -0.5, colorBefore: 'green', colorAfter: 'green' }
+        ],
+        totalBefore: 9.5,
+        totalAfter: 10.5,
+        totalDelta: 1
+    });
+});
+
+test('diffSnapshotLines counts a line missing on one side as 0 stars', function() {
+    const fromLines = [{ index: 0, label: 'A', total: 1, color: 'red' }];
+    const toLines = [
+        { index: 0, label: 'A', total: 1, color: 'red' },
+        { index: 1, label: 'New', total: 2.5, color: 'yellow' }
+    ];
+    
+    assert.deepStrictEqual(diffSnapshotLines(fromLines, toLines).lines, [
+        { index: 1, label: 'New', before: 0, after: 2.5, delta: 2.5, colorBefore: null, colorAfter: 'yellow' }
+    ]);
+    assert.deepStrictEqual(diffSnapshotLines(toLines, fromLines).lines, [
+        { index: 1, label: 'New', before: 2.5, after: 0, delta: -2.5, colorBefore: 'yellow', colorAfter: null }
+    ]);
+});
+
+test('diffSnapshotLines finds no changes between equal snapshots and avoids floating point drift', function() {
+    const lines = [{ index: 0, label: 'A', total: 0.1, color: 'red' }, { index: 1, label: 'B', total: 0.2, color: 'red' }];
+    const diff = diffSnapshotLines(lines, [lines[0], { index: 1, label: 'B', total: 0.3, color: 'red' }]);
+    
+    assert.deepStrictEqual(diffSnapshotLines(lines, lines.slice()).lines, []);
+    assert.strictEqual(diff.totalBefore, 0.3);
+    assert.strictEqual(diff.lines[0].delta, 0.1);
+    assert.strictEqual(diff.totalDelta, 0.1);
+});
+
+// ============================================
+// SYNC BETWEEN TABS
+// ============================================
+
+test('isNewerChange lets the later change win', function() {
+    assert.strictEqual(isNewerChange({ timestamp: 2000, tab: 'a' }, { timestamp: 1000, tab: 'b' }), true);
+    assert.strictEqual(isNewerChange({ timestamp: 1000, tab: 'b' }, { timestamp: 2000, tab: 'a' }), false);
+    assert.strictEqual(isNewerChange({ timestamp: 1, tab: 'a' }, { timestamp: 0, tab: 'b' }), true);
+});
+
+test('isNewerChange breaks timestamp ties by tab id, so both tabs keep the same value', function() {
+    const first = { timestamp: 1000, tab: 'k3v' };
+    const second = { timestamp: 1000, tab: 'x91' };
+    
+    assert.strictEqual(isNewerChange(second, first), true);
+    assert.strictEqual(isNewerChange(first, second), false);
+    assert.strictEqual(isNewerChange(first, first), false);
+});
@@ -0,0 +1,131 @@
+/**
+ * Tests for the command-line report (star-report.js), run as a child process
+ * on small HTML pages written to a temporary folder:
+ * - Exit codes: 0 when all lines are within the limits, 1 when one is not,
+ *   2 for usage errors (unknown option, unknown preset, no files)
+ * - CSV output, with labels quoted where needed
+ * - JSON output and its totals
+ * 
+ * Run with: npm test
+ */
+
+const test = require('node:test');
+const assert = require('node:assert');
+const { spawnSync } = require('node:child_process');
+const fs = require('node:fs');
+const os = require('node:os');
+const path = require('node:path');
+
+const SCRIPT = path.join(__dirname, '..', 'star-report.js');
+const pageFolder = fs.mkdtempSync(path.join(os.tmpdir(), 'star-report-'));
+
+test.after(function() {
+    fs.rmSync(pageFolder, { recursive: true, force: true });
+});
+
+/**
+ * Writes a rating page with one line per entry
+ * @param {string} name - File name
+ * @param {Array} lines - [label, fullStars, halfStars] per line
+ * @returns {string} Path to the page
+ */
+function writePage(name, lines) {
+    const star = '<i class="fa fa-star"></i>';
+    const halfStar = '<i class="fa fa-star-half-o"></i>';
+    const body = lines.map(function(line) {
+        return `<div class="wrapper">${line[0]} ${star.repeat(line[1])}${halfStar.repeat(line[2])}</div>`;
+    }).join('\n');
+    const file = path.join(pageFolder, name);
+    
+    fs.writeFileSync(file, `<!DOCTYPE html><html><body><div id="main">\n${body}\n</div></body></html>`);
+    return file;
+}
+
+/**
+ * Runs star-report.js with the given arguments
+ * @param {Array} args - Command-line arguments
+ * @returns {Object} {status, stdout, stderr}
+ */
+function runReport(args) {
+    return spawnSync(process.execPath, [SCRIPT].concat(args), { encoding: 'utf8', timeout: 30000 });
+}
+
+const validPage = writePage('valid.html', [['Alpha', 2, 1], ['Beta', 4, 0]]);
+const brokenPage = writePage('broken.html', [['Gamma', 1, 0], ['Too many', 6, 0]]);
+
+// ============================================
+// EXIT CODES
+// ============================================
+
+test('star-report exits with 0 and prints a table when every line is within the limits', function() {
+    const result = runReport([validPage]);
+    
+    assert.strictEqual(result.status, 0, result.stderr);
+    assert.match(result.stdout, /Total: 6\.5 STARS$/m);
+    assert.doesNotMatch(result.stdout, /OUT OF LIMITS/);
+});
+
+test('star-report exits with 1 when a line is outside the limits', function() {
+    const result = runReport([validPage, brokenPage]);
+    
+    assert.strictEqual(result.status, 1, result.stderr);
+    assert.match(result.stdout, /Too many\s+6\s+0\s+6\s+\S+\s+OUT OF LIMITS/);
+    assert.match(result.stdout, /\(1 line\(s\) out of limits\)/);
+    assert.match(result.stdout, /All files: 13\.5 STARS/);
+});
+
+test('star-report exits with 2 and shows the usage line for an unknown option', function() {
+    const result = runReport(['--colour', 'red', validPage]);
+    
+    assert.strictEqual(result.status, 2);
+    assert.strictEqual(result.stdout, '');
+    assert.match(result.stderr, /^star-report: unknown option --colour$/m);
+    assert.match(result.stderr, /^Usage: node star-report\.js /m);
+});
+
+test('star-report exits with 2 for an unknown preset, an unknown format, a missing value or no files', function() {
+    const unknownPreset = runReport(['--rules', 'sixStars', validPage]);
+    assert.strictEqual(unknownPreset.status, 2);
+    assert.match(unknownPreset.stderr, /unknown preset "sixStars" \(available: default, /);
+    
+    [
+        [['--format', 'xml', validPage], /--format must be one of table, json, csv/],
+        [[validPage, '--rules'], /--rules needs a value/],
+        [[], /no HTML files given/]
+    ].forEach(function(usageCase) {
+        const result = runReport(usageCase[0]);
+        assert.strictEqual(result.status, 2, usageCase[0].join(' '));
+        assert.match(result.stderr, usageCase[1]);
+        assert.match(result.stderr, /^Usage: /m);
+    });
+});
+
+// ============================================
+// OUTPUT FORMATS
+// ============================================
+
+test('star-report writes CSV with the file and limit columns, quoting labels where needed', function() {
+    const quotedPage = writePage('quoted.html', [['Alpha, "first"', 2, 1], ['Beta', 6, 0]]);
+    const result = runReport(['--format', 'csv', quotedPage]);
+    const rows = result.stdout.trimEnd().split('\r\n');
+    
+    assert.strictEqual(result.status, 1, result.stderr);
+    assert.deepStrictEqual(rows[0].split(','),
+        ['file', 'index', 'label', 'fullStars', 'halfStars', 'total', 'color', 'withinLimits']);
+    assert.ok(rows[1].startsWith(`${quotedPage},0,"Alpha, ""first""",2,1,2.5,`), rows[1]);
+    assert.ok(rows[1].endsWith(',true'), rows[1]);
+    assert.ok(rows[2].startsWith(`${quotedPage},1,Beta,6,0,6,`), rows[2]);
+    assert.ok(rows[2].endsWith(',false'), rows[2]);
+    assert.strictEqual(rows.length, 3);
+});
+
+test('star-report writes JSON with the totals per file and over all files', function() {
+    const result = runReport(['--format', 'json', '--rules', 'wholeStars', validPage, brokenPage]);
+    const report = JSON.parse(result.stdout);
+    
+    assert.strictEqual(result.status, 1, result.stderr);
+    assert.deepStrictEqual(report.files.map(function(file) {
+        return [file.total, file.brokenLines];
+    }), [[6.5, 0], [7, 1]]);
+    assert.strictEqual(report.total, 13.5);
+});